@@ -0,0 +1,146 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseArgs } = require("util");
+
+// Offline RAG evaluation: starts the API in-process against a throwaway
+// data directory and in-memory vector store, runs a golden dataset through
+// it and writes the report as JSON and HTML. Exits with 1 when a question
+// fails or a metric is below the dataset's thresholds.
+//
+//   node evaluate.js [--dataset dir] [--out dir] [--provider stub]
+//                    [--k 1,3,5] [--chunking-strategy recursive]
+//                    [--chunk-size 800] [--chunk-overlap 100]
+//                    [--top-k 12] [--score-threshold 0.3] [--mode hybrid]
+//                    [--reranker none]
+
+const USAGE = `Usage: node evaluate.js [options]
+  --dataset <dir>              Golden dataset directory (default: evaluation/datasets/sample)
+  --out <dir>                  Where reports are written (default: evaluation/results)
+  --provider <name>            LLM provider (default: stub, which needs no network)
+  --k <list>                   Cutoffs for recall@k (default: 1,3,5)
+  --chunking-strategy <name>   Override the dataset's chunking strategy
+  --chunk-size <n>             Override the dataset's chunk size
+  --chunk-overlap <n>          Override the dataset's chunk overlap
+  --top-k <n>                  Override topK
+  --score-threshold <x>        Override scoreThreshold
+  --mode <mode>                Override the retrieval mode
+  --reranker <name>            Override the reranker`;
+
+let values;
+try {
+  ({ values } = parseArgs({
+    options: {
+      dataset: { type: "string", default: "evaluation/datasets/sample" },
+      out: { type: "string", default: "evaluation/results" },
+      provider: { type: "string", default: "stub" },
+      k: { type: "string", default: "1,3,5" },
+      "chunking-strategy": { type: "string" },
+      "chunk-size": { type: "string" },
+      "chunk-overlap": { type: "string" },
+      "top-k": { type: "string" },
+      "score-threshold": { type: "string" },
+      mode: { type: "string" },
+      reranker: { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+  }));
+} catch (error) {
+  process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+  process.exit(2);
+}
+if (values.help) {
+  process.stdout.write(`${USAGE}\n`);
+  process.exit(0);
+}
+
+// Only the options given on the command line, as numbers where numeric
+function overrides(entries) {
+  return Object.fromEntries(
+    entries
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => [
+        key,
+        Number.isNaN(Number(value)) ? value : Number(value),
+      ])
+  );
+}
+
+// Set before anything reads the environment, so every run starts from
+// nothing and leaves no data behind. dotenv never overrides these.
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "query-assistant-eval-"));
+Object.assign(process.env, {
+  LLM_PROVIDER: values.provider,
+  VECTOR_STORE: "memory",
+  DATA_STORE: "json",
+  DATA_DIR: dataDir,
+  AUTH_REQUIRED: "false",
+  RATE_LIMIT_PER_MINUTE: "0",
+  QUOTA_UPLOAD_BYTES: "0",
+  QUOTA_EMBEDDED_TEXTS: "0",
+  QUOTA_GENERATION_TOKENS: "0",
+  LOG_LEVEL: process.env.LOG_LEVEL || "warn",
+});
+
+const { startServer } = require("./server");
+const { loadDataset } = require("./src/evaluation/dataset");
+const { runEvaluation } = require("./src/evaluation");
+const { formatMetric, writeReport } = require("./src/evaluation/report");
+
+async function main() {
+  const dataset = await loadDataset(path.resolve(values.dataset));
+  const server = await startServer(0);
+  try {
+    const report = await runEvaluation(dataset, {
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      provider: values.provider,
+      ks: values.k.split(",").map(Number),
+      chunking: overrides([
+        ["strategy", values["chunking-strategy"]],
+        ["chunkSize", values["chunk-size"]],
+        ["overlap", values["chunk-overlap"]],
+      ]),
+      query: overrides([
+        ["topK", values["top-k"]],
+        ["scoreThreshold", values["score-threshold"]],
+        ["mode", values.mode],
+        ["reranker", values.reranker],
+      ]),
+      onProgress: (message) => process.stdout.write(`${message}\n`),
+    });
+
+    const files = await writeReport(report, path.resolve(values.out));
+    process.stdout.write(`\nDataset ${report.dataset.name}\n`);
+    for (const [name, value] of Object.entries(report.summary)) {
+      process.stdout.write(
+        `  ${name.padEnd(20)} ${formatMetric(name, value)}\n`
+      );
+    }
+    for (const check of report.thresholds) {
+      process.stdout.write(
+        `  ${check.passed ? "PASS" : "FAIL"} ${check.metric} ${formatMetric(
+          check.metric,
+          check.actual
+        )} (minimum ${formatMetric(check.metric, check.minimum)})\n`
+      );
+    }
+    for (const result of report.questions.filter((entry) => entry.error)) {
+      process.stdout.write(`  FAIL ${result.id}: ${result.error}\n`);
+    }
+    process.stdout.write(`\nWrote ${files.json}\n  and ${files.html}\n`);
+    return report.passed;
+  } finally {
+    server.close();
+  }
+}
+
+main()
+  .then((passed) => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    process.exit(passed ? 0 : 1);
+  })
+  .catch((error) => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    process.stderr.write(`Evaluation failed: ${error.message}\n`);
+    process.exit(2);
+  });
@@ -1,17 +1,256 @@
 import React, { useState, useEffect, useRef, useCallback } from "react";
 import "./App.css";
+import { API_KEY_STORAGE_KEY, apiFetch, readEventStream } from "./api";
+import { ApiError, readApiError } from "./errors";
+
+// Keep in sync with the server's extractor registry
+const SUPPORTED_EXTENSIONS = [
+  ".pdf",
+  ".docx",
+  ".txt",
+  ".md",
+  ".markdown",
+  ".html",
+  ".htm",
+  ".csv",
+  ".tsv",
+  ".json",
+];
+
+// Lets the user choose which uploaded documents a question searches
+const DocumentPicker = ({ documents, selectedIds, onChange }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const toggleDocument = (id) => {
+    onChange(
+      selectedIds.includes(id)
+        ? selectedIds.filter((selectedId) => selectedId !== id)
+        : [...selectedIds, id]
+    );
+  };
+
+  const label =
+    selectedIds.length === 0
+      ? "All documents"
+      : selectedIds.length === 1
+        ? documents.find((doc) => doc.id === selectedIds[0])?.name ||
+          "1 document"
+        : `${selectedIds.length} documents`;
+
+  return (
+    <div className="document-picker">
+      <button
+        type="button"
+        className="document-picker-toggle"
+        onClick={() => setIsOpen((open) => !open)}
+      >
+        Searching: {label} ▾
+      </button>
+      {isOpen && (
+        <div className="document-picker-menu">
+          {documents.length === 0 && (
+            <p className="document-picker-empty">No documents uploaded yet.</p>
+          )}
+          {documents.map((doc) => (
+            <label key={doc.id} className="document-picker-option">
+              <input
+                type="checkbox"
+                checked={selectedIds.includes(doc.id)}
+                onChange={() => toggleDocument(doc.id)}
+              />
+              <span>{doc.name}</span>
+              {doc.version > 1 && (
+                <span className="document-version">v{doc.version}</span>
+              )}
+            </label>
+          ))}
+          {selectedIds.length > 0 && (
+            <button
+              type="button"
+              className="document-picker-clear"
+              onClick={() => onChange([])}
+            >
+              Search all documents
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
 
-const ChatInterface = ({ onBack }) => {
+// Get color based on confidence score
+const getConfidenceColor = (confidence) => {
+  if (confidence > 0.8) return "#2ecc71"; // Green
+  if (confidence > 0.5) return "#f39c12"; // Orange
+  return "#e74c3c"; // Red
+};
+
+const CITATION_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+// Renders an answer with its [n] citation markers as buttons. Clicking a
+// marker expands the quoted source passage below the answer.
+const CitedText = ({ text, sources }) => {
+  const [expandedIndex, setExpandedIndex] = useState(null);
+  if (!sources || sources.length === 0) return text;
+
+  const parts = [];
+  let lastIndex = 0;
+  for (const match of text.matchAll(CITATION_PATTERN)) {
+    parts.push(text.slice(lastIndex, match.index));
+    const indices = match[1]
+      .split(",")
+      .map((value) => parseInt(value, 10))
+      .filter((index) => sources.some((source) => source.index === index));
+    indices.forEach((index) => {
+      parts.push(
+        <button
+          key={`${match.index}-${index}`}
+          type="button"
+          className={`citation-marker ${
+            expandedIndex === index ? "active" : ""
+          }`}
+          onClick={() =>
+            setExpandedIndex((current) => (current === index ? null : index))
+          }
+        >
+          {index}
+        </button>
+      );
+    });
+    lastIndex = match.index + match[0].length;
+  }
+  parts.push(text.slice(lastIndex));
+
+  const expanded = sources.find((source) => source.index === expandedIndex);
+
+  return (
+    <>
+      {parts}
+      {expanded && (
+        <blockquote
+          className="citation-passage"
+          style={{ borderLeftColor: getConfidenceColor(expanded.score) }}
+        >
+          <div className="citation-source">
+            <span>
+              [{expanded.index}] {expanded.fileName}
+              {expanded.pageNumber !== undefined &&
+                `, page ${expanded.pageNumber}`}
+              {expanded.section && ` · ${expanded.section}`}
+            </span>
+            {expanded.retrievers && (
+              <span className="citation-retrievers">
+                {expanded.retrievers.map((retriever) => (
+                  <span key={retriever} className="retriever-badge">
+                    {retriever}
+                  </span>
+                ))}
+              </span>
+            )}
+            <span
+              className="citation-score"
+              style={{ color: getConfidenceColor(expanded.score) }}
+            >
+              {Math.round(expanded.score * 100)}% match
+            </span>
+          </div>
+          <p>{expanded.text}</p>
+        </blockquote>
+      )}
+    </>
+  );
+};
+
+// Structured answers come back as JSON; the default schema has answer,
+// reasoning and sourceClause fields, which get a section each. Fields of
+// custom schemas are listed after them.
+const STRUCTURED_SECTIONS = [
+  ["answer", "Answer"],
+  ["reasoning", "Reasoning"],
+  ["sourceClause", "Source Clause"],
+];
+
+const StructuredAnswer = ({ structured, sources }) => {
+  const known = STRUCTURED_SECTIONS.map(([key]) => key);
+  const extraFields = Object.keys(structured).filter(
+    (key) => !known.includes(key)
+  );
+
+  return (
+    <div className="structured-answer">
+      {STRUCTURED_SECTIONS.filter(
+        ([key]) => structured[key] !== undefined && structured[key] !== ""
+      ).map(([key, label]) => (
+        <section key={key} className={`structured-section ${key}`}>
+          <h4>{label}</h4>
+          {key === "answer" ? (
+            <CitedText text={String(structured[key])} sources={sources} />
+          ) : key === "sourceClause" ? (
+            <blockquote>{String(structured[key])}</blockquote>
+          ) : (
+            <p>{String(structured[key])}</p>
+          )}
+        </section>
+      ))}
+      {extraFields.map((key) => (
+        <section key={key} className="structured-section">
+          <h4>{key}</h4>
+          <p>
+            {typeof structured[key] === "object"
+              ? JSON.stringify(structured[key])
+              : String(structured[key])}
+          </p>
+        </section>
+      ))}
+    </div>
+  );
+};
+
+// Progress bar captions for the ingestion job stages
+const STAGE_LABELS = {
+  extract: "Extracting text...",
+  chunk: "Splitting into chunks...",
+  embed: "Generating embeddings...",
+  upsert: "Saving to the index...",
+};
+
+const WELCOME_MESSAGE = {
+  text: "Hello! I'm your AI assistant. Upload a document and I can answer questions about it. How may I help you today?",
+  sender: "bot",
+};
+
+const CONVERSATION_STORAGE_KEY = "conversationId";
+
+// Stored conversation messages use chat roles; the UI uses senders
+const toChatMessage = (message) => ({
+  text: message.content,
+  sender: message.role === "user" ? "user" : "bot",
+  timestamp: message.createdAt,
+  sources: message.sources || null,
+  structured: message.structured || null,
+});
+
+const ChatInterface = ({ onBack, activeDocument }) => {
   const [query, setQuery] = useState("");
   const [isLoading, setIsLoading] = useState(false);
+  const [documents, setDocuments] = useState([]);
+  // Default to the document that was just uploaded
+  const [selectedDocumentIds, setSelectedDocumentIds] = useState(
+    activeDocument?.id ? [activeDocument.id] : []
+  );
   const messagesEndRef = useRef(null);
+  const abortControllerRef = useRef(null);
   const [messages, setMessages] = useState([
-    {
-      text: "Hello! I'm your AI assistant. Upload a document and I can answer questions about it. How may I help you today?",
-      sender: "bot",
-      timestamp: new Date().toISOString(),
-    },
+    { ...WELCOME_MESSAGE, timestamp: new Date().toISOString() },
   ]);
+  // Picks up the last conversation so a reload continues where it left off
+  const [conversationId, setConversationId] = useState(() =>
+    localStorage.getItem(CONVERSATION_STORAGE_KEY)
+  );
+  const [conversations, setConversations] = useState([]);
+  // Structured answers aren't streamed, so they go through /query
+  const [structuredMode, setStructuredMode] = useState(false);
 
   const scrollToBottom = useCallback(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
@@ -21,6 +260,57 @@ const ChatInterface = ({ onBack }) => {
     scrollToBottom();
   }, [messages, scrollToBottom]);
 
+  const loadConversations = useCallback(() => {
+    apiFetch("/conversations")
+      .then((response) =>
+        response.ok ? response.json() : { conversations: [] }
+      )
+      .then((data) => setConversations(data.conversations || []))
+      .catch((error) => console.error("Error loading conversations:", error));
+  }, []);
+
+  const startNewConversation = useCallback(() => {
+    localStorage.removeItem(CONVERSATION_STORAGE_KEY);
+    setConversationId(null);
+    setMessages([{ ...WELCOME_MESSAGE, timestamp: new Date().toISOString() }]);
+  }, []);
+
+  const openConversation = useCallback(
+    async (id) => {
+      try {
+        const response = await apiFetch(`/conversations/${id}`);
+        if (!response.ok) {
+          // Deleted or expired on the server; fall back to a fresh chat
+          startNewConversation();
+          return;
+        }
+        const { conversation } = await response.json();
+        localStorage.setItem(CONVERSATION_STORAGE_KEY, conversation.id);
+        setConversationId(conversation.id);
+        setMessages([
+          { ...WELCOME_MESSAGE, timestamp: conversation.createdAt },
+          ...conversation.messages.map(toChatMessage),
+        ]);
+      } catch (error) {
+        console.error("Error loading conversation:", error);
+      }
+    },
+    [startNewConversation]
+  );
+
+  useEffect(() => {
+    const storedId = localStorage.getItem(CONVERSATION_STORAGE_KEY);
+    if (storedId) openConversation(storedId);
+    loadConversations();
+  }, [openConversation, loadConversations]);
+
+  useEffect(() => {
+    apiFetch("/documents")
+      .then((response) => (response.ok ? response.json() : { documents: [] }))
+      .then((data) => setDocuments(data.documents || []))
+      .catch((error) => console.error("Error loading documents:", error));
+  }, []);
+
   const addSystemMessage = (text) => {
     setMessages((prev) => [
       ...prev,
@@ -44,39 +334,6 @@ const ChatInterface = ({ onBack }) => {
     ]);
   };
 
-  // Check if the message is a greeting or farewell
-  const isGreeting = (text) => {
-    const textLower = text.toLowerCase().trim();
-    const greetings = [
-      "hi",
-      "hello",
-      "hey",
-      "greetings",
-      "good morning",
-      "good afternoon",
-      "good evening",
-    ];
-    const farewells = ["bye", "goodbye", "see you", "see ya", "take care"];
-
-    // Check for greetings
-    const isGreeting = greetings.some(
-      (greeting) => textLower.startsWith(greeting) || textLower === greeting
-    );
-
-    // Handle farewells
-    const isFarewell = farewells.some(
-      (farewell) => textLower.startsWith(farewell) || textLower === farewell
-    );
-
-    return isGreeting || isFarewell;
-  };
-
-  // Check if the message is a thank you
-  const isThankYou = (text) => {
-    const thanks = ["thank", "thanks", "appreciate"];
-    return thanks.some((thank) => text.toLowerCase().includes(thank));
-  };
-
   const handleSendMessage = async (e) => {
     e.preventDefault();
     const userQuery = query.trim();
@@ -85,40 +342,125 @@ const ChatInterface = ({ onBack }) => {
     addMessage(userQuery, "user");
     setIsLoading(true);
 
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    const streamId = Date.now();
+    let started = false;
+
+    // Tokens are appended to a single bot message as they arrive
+    const updateStreamingMessage = (update) => {
+      setMessages((prev) =>
+        prev.map((message) =>
+          message.id === streamId ? { ...message, ...update(message) } : message
+        )
+      );
+    };
+
+    const rememberConversation = (id) => {
+      if (id && id !== conversationId) {
+        localStorage.setItem(CONVERSATION_STORAGE_KEY, id);
+        setConversationId(id);
+      }
+    };
+
     try {
-      // Use VITE_API_URL if set, otherwise auto-switch between local and deployed
-      let apiUrl = import.meta.env.VITE_API_URL;
-      if (!apiUrl) {
-        if (
-          window.location.hostname === "localhost" ||
-          window.location.hostname === "127.0.0.1"
-        ) {
-          apiUrl = "http://localhost:3000";
-        } else {
-          apiUrl = "https://query-assistant.onrender.com";
-        }
+      const body = {
+        question: userQuery,
+        ...(conversationId && { conversationId }),
+        // An empty selection searches every document
+        ...(selectedDocumentIds.length > 0 && {
+          documentIds: selectedDocumentIds,
+        }),
+      };
+
+      if (structuredMode) {
+        const response = await apiFetch("/query", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ ...body, format: "structured" }),
+          signal: controller.signal,
+        });
+        if (!response.ok) throw await readApiError(response);
+        const data = await response.json();
+        rememberConversation(data.conversationId);
+        setMessages((prev) => [
+          ...prev,
+          {
+            text: data.answer,
+            sender: "bot",
+            timestamp: new Date().toISOString(),
+            sources: data.sources,
+            structured: data.structured || null,
+          },
+        ]);
+        return;
       }
-      const response = await fetch(`${apiUrl}/query`, {
+
+      const response = await apiFetch("/query/stream", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ question: userQuery }),
+        body: JSON.stringify(body),
+        signal: controller.signal,
       });
 
-      if (!response.ok) {
-        const error = await response.json().catch(() => ({}));
-        throw new Error(error.message || "Failed to get response from server");
+      if (!response.ok) throw await readApiError(response);
+
+      setMessages((prev) => [
+        ...prev,
+        {
+          id: streamId,
+          text: "",
+          sender: "bot",
+          timestamp: new Date().toISOString(),
+          sources: null,
+          isStreaming: true,
+        },
+      ]);
+      started = true;
+
+      for await (const { event, data } of readEventStream(response)) {
+        if (event === "sources") {
+          updateStreamingMessage(() => ({ sources: data.sources }));
+          rememberConversation(data.conversationId);
+        } else if (event === "token") {
+          updateStreamingMessage((message) => ({
+            text: message.text + data.text,
+          }));
+        } else if (event === "done") {
+          // The final answer has any invalid citation markers removed
+          updateStreamingMessage(() => ({
+            ...(data.answer !== undefined && { text: data.answer }),
+            timing: data.timing,
+          }));
+        } else if (event === "error") {
+          throw new ApiError(data);
+        }
       }
-
-      const data = await response.json();
-      addMessage(data.answer, "bot", data.sources);
     } catch (error) {
-      console.error("Error sending message:", error);
-      addSystemMessage(`Error: ${error.message}`);
+      if (error.name === "AbortError") {
+        updateStreamingMessage((message) => ({
+          text: message.text ? `${message.text} …` : message.text,
+          cancelled: true,
+        }));
+        addSystemMessage("Answer cancelled.");
+      } else {
+        console.error("Error sending message:", error);
+        addSystemMessage(`Error: ${error.message}`);
+      }
     } finally {
+      if (started) {
+        updateStreamingMessage(() => ({ isStreaming: false }));
+      }
+      abortControllerRef.current = null;
       setIsLoading(false);
+      loadConversations();
     }
   };
 
+  const handleCancel = () => {
+    abortControllerRef.current?.abort();
+  };
+
   // Format file size helper function
   const formatFileSize = (bytes) => {
     if (bytes === 0) return "0 Bytes";
@@ -128,13 +470,6 @@ const ChatInterface = ({ onBack }) => {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
   };
 
-  // Get color based on confidence score
-  const getConfidenceColor = (confidence) => {
-    if (confidence > 0.8) return "#2ecc71"; // Green
-    if (confidence > 0.5) return "#f39c12"; // Orange
-    return "#e74c3c"; // Red
-  };
-
   return (
     <div className="chat-container">
       <div className="chat-header">
@@ -144,25 +479,65 @@ const ChatInterface = ({ onBack }) => {
           </button>
           <h2>AI Assistant</h2>
         </div>
+        <select
+          className="conversation-select"
+          value={conversationId || ""}
+          onChange={(e) =>
+            e.target.value
+              ? openConversation(e.target.value)
+              : startNewConversation()
+          }
+          disabled={isLoading}
+        >
+          <option value="">New conversation</option>
+          {conversations.map((conversation) => (
+            <option key={conversation.id} value={conversation.id}>
+              {conversation.title}
+            </option>
+          ))}
+        </select>
+        <DocumentPicker
+          documents={documents}
+          selectedIds={selectedDocumentIds}
+          onChange={setSelectedDocumentIds}
+        />
       </div>
 
       {/* Messages */}
       <div className="messages-container">
-        {messages.map((message, index) => (
-          <div key={index} className={`message ${message.sender}`}>
-            <div className="message-content">{message.text}</div>
-            <div className="message-timestamp">
-              {new Date(message.timestamp).toLocaleTimeString()}
+        {messages
+          .filter((message) => !message.isStreaming || message.text)
+          .map((message, index) => (
+            <div key={index} className={`message ${message.sender}`}>
+              <div
+                className={`message-content ${
+                  message.isStreaming ? "streaming" : ""
+                }`}
+              >
+                {message.sender === "bot" && message.structured ? (
+                  <StructuredAnswer
+                    structured={message.structured}
+                    sources={message.sources}
+                  />
+                ) : message.sender === "bot" ? (
+                  <CitedText text={message.text} sources={message.sources} />
+                ) : (
+                  message.text
+                )}
+              </div>
+              <div className="message-timestamp">
+                {new Date(message.timestamp).toLocaleTimeString()}
+              </div>
             </div>
-          </div>
-        ))}
+          ))}
 
-        {/* Loading indicator */}
-        {isLoading && (
-          <div className="message bot">
-            <div className="typing-indicator">Thinking...</div>
-          </div>
-        )}
+        {/* Loading indicator until the first token arrives */}
+        {isLoading &&
+          !messages.some((message) => message.isStreaming && message.text) && (
+            <div className="message bot">
+              <div className="typing-indicator">Thinking...</div>
+            </div>
+          )}
 
         <div ref={messagesEndRef} />
       </div>
@@ -177,13 +552,32 @@ const ChatInterface = ({ onBack }) => {
           placeholder="Type your question here..."
           disabled={isLoading}
         />
-        <button
-          type="submit"
-          className="send-button"
-          disabled={!query.trim() || isLoading}
-        >
-          {isLoading ? <span className="loading-spinner" /> : "Send"}
-        </button>
+        <label className="structured-toggle">
+          <input
+            type="checkbox"
+            checked={structuredMode}
+            onChange={(e) => setStructuredMode(e.target.checked)}
+            disabled={isLoading}
+          />
+          Structured
+        </label>
+        {isLoading ? (
+          <button
+            type="button"
+            className="send-button stop-button"
+            onClick={handleCancel}
+          >
+            Stop
+          </button>
+        ) : (
+          <button
+            type="submit"
+            className="send-button"
+            disabled={!query.trim()}
+          >
+            Send
+          </button>
+        )}
       </form>
     </div>
   );
@@ -202,6 +596,41 @@ function App() {
 
   const [uploadStatus, setUploadStatus] = useState(null);
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [chunkingStrategy, setChunkingStrategy] = useState("");
+  const [apiKey, setApiKey] = useState(
+    () => localStorage.getItem(API_KEY_STORAGE_KEY) || ""
+  );
+
+  const handleApiKeyChange = (event) => {
+    const value = event.target.value.trim();
+    setApiKey(value);
+    if (value) localStorage.setItem(API_KEY_STORAGE_KEY, value);
+    else localStorage.removeItem(API_KEY_STORAGE_KEY);
+  };
+
+  // Shows the job's progress until it finishes. Resolves to the new
+  // document, or throws with the reason the job failed.
+  const followIngestionJob = async (jobId) => {
+    const response = await apiFetch(`/jobs/${jobId}/events`);
+    if (!response.ok) throw await readApiError(response);
+
+    for await (const { event, data } of readEventStream(response)) {
+      const { job } = data;
+      if (event === "progress") {
+        const stage = job.stages.find((entry) => entry.status === "running");
+        setUploadStatus(stage ? STAGE_LABELS[stage.name] : "Queued...");
+        setUploadProgress(Math.max(1, job.progress * 100));
+      } else if (event === "completed") {
+        return data.document;
+      } else if (event === "failed") {
+        throw new ApiError({
+          error: job.error || "Processing failed. Please try again.",
+          code: job.code,
+        });
+      }
+    }
+    throw new Error("Lost track of the processing of your document.");
+  };
 
   const handleSubmit = async (event) => {
     event.preventDefault();
@@ -212,15 +641,19 @@ function App() {
     }
 
     // Validate file type
-    const allowedExtensions = ["pdf", "txt"];
+    const allowedExtensions = SUPPORTED_EXTENSIONS.map((ext) => ext.slice(1));
     const fileExt = selectedFile.name.split(".").pop().toLowerCase();
     if (!allowedExtensions.includes(fileExt)) {
-      alert("Only PDF and TXT files are supported");
+      alert(`Supported file types: ${SUPPORTED_EXTENSIONS.join(", ")}`);
       return;
     }
 
     const formData = new FormData();
     formData.append("file", selectedFile);
+    // Leave the strategy out to use the server default
+    if (chunkingStrategy) {
+      formData.append("chunkingStrategy", chunkingStrategy);
+    }
 
     setIsUploading(true);
     setUploadStatus("Uploading...");
@@ -229,51 +662,41 @@ function App() {
     try {
       console.log("Starting file upload...", selectedFile.name);
 
-      // Use VITE_API_URL if set, otherwise auto-switch between local and deployed
-      let apiUrl = import.meta.env.VITE_API_URL;
-      if (!apiUrl) {
-        if (
-          window.location.hostname === "localhost" ||
-          window.location.hostname === "127.0.0.1"
-        ) {
-          apiUrl = "http://localhost:3000";
-        } else {
-          apiUrl = "https://query-assistant.onrender.com";
-        }
-      }
-      const response = await fetch(`${apiUrl}/upload`, {
+      const response = await apiFetch("/upload", {
         method: "POST",
         body: formData,
       });
 
-      if (response.ok) {
-        setUploadStatus("Processing...");
-        setUploadProgress(50);
+      if (!response.ok) throw await readApiError(response);
 
-        const data = await response.json();
-        console.log("Upload successful, received data:", data);
-
-        setUploadStatus("Upload successful!");
-        setUploadProgress(100);
-
-        // Wait for a moment before transitioning
-        setTimeout(() => {
-          setActiveDocument({
-            name: selectedFile.name,
-            namespace: data.namespace,
-          });
-        }, 1000);
-        setUploadStatus("Upload successful!");
-        setUploadProgress(100);
-
-        setTimeout(() => {
-          setUploadStatus(null);
-          setUploadProgress(0);
-        }, 3000);
-      } else {
-        const errorData = await response.json();
-        throw new Error(errorData.error || "Upload failed. Please try again.");
+      const data = await response.json();
+      // Identical files aren't processed again: the existing document is
+      // returned straight away, or the job of an identical upload that is
+      // still being processed
+      let document = data.document;
+      if (!document) {
+        setUploadStatus("Queued...");
+        document = await followIngestionJob(data.jobId);
       }
+
+      setUploadStatus(
+        data.document ? "Already uploaded!" : "Upload successful!"
+      );
+      setUploadProgress(100);
+
+      // Wait for a moment before transitioning
+      setTimeout(() => {
+        setActiveDocument({
+          id: document.id,
+          name: document.name,
+          namespace: document.namespace,
+        });
+      }, 1000);
+
+      setTimeout(() => {
+        setUploadStatus(null);
+        setUploadProgress(0);
+      }, 3000);
     } catch (error) {
       console.error("Upload error details:", {
         name: error.name,
@@ -300,7 +723,12 @@ function App() {
   };
 
   if (activeDocument) {
-    return <ChatInterface onBack={handleBackToUpload} />;
+    return (
+      <ChatInterface
+        onBack={handleBackToUpload}
+        activeDocument={activeDocument}
+      />
+    );
   }
 
   return (
@@ -312,7 +740,7 @@ function App() {
             <input
               type="file"
               id="file-upload"
-              accept=".pdf,.txt"
+              accept={SUPPORTED_EXTENSIONS.join(",")}
               onChange={handleFileChange}
               className="file-input"
               disabled={isUploading}
@@ -340,7 +768,7 @@ function App() {
                 <p className="file-upload-title">
                   {selectedFile
                     ? selectedFile.name
-                    : "Click to select a PDF file"}
+                    : "Click to select a document"}
                 </p>
                 <p className="file-upload-subtitle">
                   {selectedFile
@@ -351,6 +779,35 @@ function App() {
             </label>
           </div>
 
+          <div className="chunking-options">
+            <label htmlFor="chunking-strategy">Chunking</label>
+            <select
+              id="chunking-strategy"
+              value={chunkingStrategy}
+              onChange={(e) => setChunkingStrategy(e.target.value)}
+              disabled={isUploading}
+            >
+              <option value="">Default</option>
+              <option value="recursive">Paragraphs &amp; sentences</option>
+              <option value="section">Headings &amp; sections</option>
+              <option value="token">Token count</option>
+              <option value="fixed">Fixed characters</option>
+            </select>
+          </div>
+
+          <div className="chunking-options">
+            <label htmlFor="api-key">API key</label>
+            <input
+              type="password"
+              id="api-key"
+              value={apiKey}
+              onChange={handleApiKeyChange}
+              placeholder="Optional"
+              autoComplete="off"
+              disabled={isUploading}
+            />
+          </div>
+
           {selectedFile && (
             <div className="file-preview">
               <div className="file-info">
@@ -0,0 +1,53 @@
+// Use VITE_API_URL if set, otherwise auto-switch between local and deployed
+export const getApiUrl = () => {
+  const apiUrl = import.meta.env.VITE_API_URL;
+  if (apiUrl) return apiUrl;
+  if (
+    window.location.hostname === "localhost" ||
+    window.location.hostname === "127.0.0.1"
+  ) {
+    return "http://localhost:3000";
+  }
+  return "https://query-assistant.onrender.com";
+};
+
+export const API_KEY_STORAGE_KEY = "apiKey";
+
+// fetch against the API, sending the stored API key (if any) as a bearer
+// token. `path` is relative to the API root, e.g. "/documents".
+export const apiFetch = (path, options = {}) => {
+  const apiKey = localStorage.getItem(API_KEY_STORAGE_KEY);
+  return fetch(`${getApiUrl()}${path}`, {
+    ...options,
+    headers: {
+      ...options.headers,
+      ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+    },
+  });
+};
+
+// Parses a Server-Sent Events response body into { event, data } objects.
+// EventSource can't POST, so streamed endpoints are read through fetch.
+export async function* readEventStream(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffered += decoder.decode(value, { stream: true });
+
+    const events = buffered.split("\n\n");
+    buffered = events.pop();
+    for (const raw of events) {
+      let event = "message";
+      let data = "";
+      for (const line of raw.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data += line.slice(5).trim();
+      }
+      if (data) yield { event, data: JSON.parse(data) };
+    }
+  }
+}
@@ -0,0 +1,62 @@
+// Turns the API's error responses ({ error, code, details, requestId })
+// into messages for people. Codes not listed here show the server's own
+// message, which is written to be read as-is.
+const withDetails = ({ error, details }) =>
+  typeof details === "string"
+    ? `${error.replace(/\.$/, "")}. ${details}`
+    : error;
+
+const MESSAGES = {
+  AUTHENTICATION_REQUIRED:
+    "This server needs an API key. Enter yours on the upload page.",
+  INVALID_CREDENTIALS:
+    "Your API key was not accepted. Check the API key on the upload page.",
+  FORBIDDEN: "Your API key isn't allowed to do that.",
+  RATE_LIMITED: ({ retryAfterSeconds }) =>
+    retryAfterSeconds
+      ? `You're sending requests too quickly. Try again in ${retryAfterSeconds}s.`
+      : "You're sending requests too quickly. Try again shortly.",
+  QUOTA_EXCEEDED: ({ error }) =>
+    error === "Daily quota exceeded"
+      ? "You've reached today's usage limit. It resets at midnight UTC."
+      : error,
+  FILE_TOO_LARGE: withDetails,
+  UNSUPPORTED_MEDIA_TYPE: withDetails,
+  UPSTREAM_ERROR:
+    "The AI service is having trouble right now. Please try again in a moment.",
+  UPSTREAM_RATE_LIMITED:
+    "The AI service is busy right now. Please try again in a minute.",
+  INVALID_STRUCTURED_OUTPUT:
+    "The model couldn't produce a structured answer. Try again, or turn off Structured.",
+  INTERNAL_ERROR: ({ requestId }) =>
+    `Something went wrong on our side. Please try again.${
+      requestId ? ` (Reference: ${requestId})` : ""
+    }`,
+};
+
+export const errorMessage = (
+  body = {},
+  fallback = "Something went wrong. Please try again."
+) => {
+  const message = MESSAGES[body.code];
+  if (typeof message === "function") return message(body);
+  return message || body.error || fallback;
+};
+
+// An error response from the API, with its message ready to show
+export class ApiError extends Error {
+  constructor(body = {}, status) {
+    super(errorMessage(body));
+    this.name = "ApiError";
+    this.code = body.code;
+    this.status = status;
+    this.requestId = body.requestId;
+  }
+}
+
+// Reads a failed response into an ApiError. Responses that aren't ours
+// (a proxy's HTML error page, say) get the generic message.
+export const readApiError = async (response) => {
+  const body = await response.json().catch(() => ({}));
+  return new ApiError(body, response.status);
+};
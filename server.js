@@ -1,18 +1,85 @@
 const express = require("express");
-const multer = require("multer");
 const cors = require("cors");
 const {
   uploadDocument,
   queryDocuments,
+  streamQuery,
+  previewQuery,
 } = require("./src/controllers/ragController");
-const { initializePinecone } = require("./src/clients/pineconeClient");
+const {
+  listDocuments,
+  getDocument,
+  listDocumentVersions,
+  updateDocument,
+  deleteDocument,
+  summarizeDocument,
+} = require("./src/controllers/documentController");
+const {
+  listConversations,
+  getConversation,
+  deleteConversation,
+} = require("./src/controllers/conversationController");
+const {
+  getJobById,
+  streamJobEvents,
+} = require("./src/controllers/jobController");
+const {
+  listPromptTemplates,
+  createPromptTemplate,
+  getPromptTemplate,
+  listPromptTemplateVersions,
+  updatePromptTemplate,
+  deletePromptTemplate,
+  setDefaultPromptTemplate,
+  clearDefaultPromptTemplate,
+} = require("./src/controllers/promptController");
+const { getStats } = require("./src/controllers/statsController");
+const {
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+} = require("./src/controllers/adminController");
+const { getUsage } = require("./src/controllers/usageController");
+const {
+  getHealth,
+  getReadiness,
+  getMetrics,
+} = require("./src/controllers/healthController");
+const { authenticate, requireAdmin } = require("./src/middleware/auth");
+const { rateLimit } = require("./src/middleware/rateLimit");
+const { requireQuota } = require("./src/middleware/quota");
+const { acceptUpload } = require("./src/middleware/upload");
+const { assignRequestId } = require("./src/middleware/requestId");
+const { logRequests } = require("./src/middleware/requestLog");
+const {
+  asyncHandler,
+  notFound,
+  errorHandler,
+} = require("./src/middleware/errors");
+const { ForbiddenError } = require("./src/errors");
+const { initializeVectorStore } = require("./src/clients/vectorStore");
+const { initializeDataStore } = require("./src/clients/dataStore");
+const { getEmbeddingDimension } = require("./src/clients/llmClient");
+const { failInterruptedJobs } = require("./src/jobs");
+const { discardInterruptedIngestions } = require("./src/jobs/ingestDocument");
+const { logger } = require("./src/observability/logger");
 
 const app = express();
 const port = process.env.PORT || 3000;
 
-// Multer setup for file uploads
-const storage = multer.memoryStorage();
-const upload = multer({ storage: storage });
+// Behind a load balancer or reverse proxy, req.ip (which anonymous callers
+// are rate limited by) is the proxy's address unless Express trusts it to
+// report the client's. TRUST_PROXY takes Express's "trust proxy" values:
+// true, a number of hops, or addresses and subnets such as "loopback" or
+// "10.0.0.0/8". Off by default, since a client could otherwise pick its own
+// address with X-Forwarded-For.
+function trustProxySetting(value) {
+  if (value === undefined || value === "" || value === "false") return false;
+  if (value === "true") return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value;
+}
+app.set("trust proxy", trustProxySetting(process.env.TRUST_PROXY));
 
 // Allow both production and development origins
 const allowedOrigins = [
@@ -40,46 +107,119 @@ const corsOptions = {
     if (isAllowed) {
       return callback(null, true);
     } else {
-      console.log("Blocked by CORS:", origin);
+      logger.warn({ origin }, "Blocked by CORS");
       const msg =
         "The CORS policy for this site does not allow access from the specified Origin.";
-      return callback(new Error(msg), false);
+      return callback(
+        new ForbiddenError(msg, { code: "CORS_NOT_ALLOWED" }),
+        false
+      );
     }
   },
   credentials: true,
-  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-Request-Id"],
+  exposedHeaders: ["X-Request-Id", "Retry-After"],
 };
 
+app.use(assignRequestId);
+app.use(logRequests);
 app.use(cors(corsOptions));
 app.use(express.json());
 
-// Add error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    error: "Internal Server Error",
-    message:
-      process.env.NODE_ENV === "development"
-        ? err.message
-        : "Something went wrong!",
-  });
-});
+// Probes and scrapers don't carry credentials
+app.get("/healthz", asyncHandler(getHealth));
+app.get("/readyz", asyncHandler(getReadiness));
+app.get("/metrics", asyncHandler(getMetrics));
+
+// Every route below runs as the tenant resolved here
+app.use(authenticate);
 
 // Routes
-app.post("/upload", upload.single("file"), uploadDocument);
-app.post("/query", queryDocuments);
+app.post(
+  "/upload",
+  rateLimit,
+  acceptUpload,
+  requireQuota("uploadedBytes", (req) => (req.file ? req.file.size : 0)),
+  requireQuota("embeddedTexts"),
+  asyncHandler(uploadDocument)
+);
+app.post(
+  "/query",
+  rateLimit,
+  requireQuota("generationTokens"),
+  requireQuota("embeddedTexts"),
+  asyncHandler(queryDocuments)
+);
+app.post(
+  "/query/stream",
+  rateLimit,
+  requireQuota("generationTokens"),
+  requireQuota("embeddedTexts"),
+  asyncHandler(streamQuery)
+);
+app.post(
+  "/query/preview",
+  rateLimit,
+  requireQuota("embeddedTexts"),
+  asyncHandler(previewQuery)
+);
+app.get("/documents", asyncHandler(listDocuments));
+app.get("/documents/:id", asyncHandler(getDocument));
+app.get("/documents/:id/versions", asyncHandler(listDocumentVersions));
+app.patch("/documents/:id", asyncHandler(updateDocument));
+app.delete("/documents/:id", asyncHandler(deleteDocument));
+app.post(
+  "/documents/:id/summarize",
+  rateLimit,
+  requireQuota("generationTokens"),
+  asyncHandler(summarizeDocument)
+);
+app.get("/conversations", asyncHandler(listConversations));
+app.get("/conversations/:id", asyncHandler(getConversation));
+app.delete("/conversations/:id", asyncHandler(deleteConversation));
+app.get("/prompts", asyncHandler(listPromptTemplates));
+app.post("/prompts", asyncHandler(createPromptTemplate));
+app.get("/prompts/:name", asyncHandler(getPromptTemplate));
+app.get("/prompts/:name/versions", asyncHandler(listPromptTemplateVersions));
+app.put("/prompts/:name", asyncHandler(updatePromptTemplate));
+app.delete("/prompts/:name", asyncHandler(deletePromptTemplate));
+app.put("/prompts/:name/default", asyncHandler(setDefaultPromptTemplate));
+app.delete("/prompts/:name/default", asyncHandler(clearDefaultPromptTemplate));
+app.get("/jobs/:id", asyncHandler(getJobById));
+app.get("/jobs/:id/events", asyncHandler(streamJobEvents));
+app.get("/stats", asyncHandler(getStats));
+app.get("/usage", asyncHandler(getUsage));
+app.get("/admin/keys", requireAdmin, asyncHandler(listApiKeys));
+app.post("/admin/keys", requireAdmin, asyncHandler(createApiKey));
+app.delete("/admin/keys/:id", requireAdmin, asyncHandler(revokeApiKey));
 
-async function startServer() {
-  try {
-    await initializePinecone();
-    app.listen(port, () => {
-      console.log(`Server is running on port ${port}`);
+// Registered last so they see errors from every route above
+app.use(notFound);
+app.use(errorHandler);
+
+// Initializes the stores and starts listening on `listenPort` (0 picks a
+// free port). Resolves to the HTTP server once it is listening.
+async function startServer(listenPort = port) {
+  await initializeVectorStore({ dimension: getEmbeddingDimension() });
+  await initializeDataStore();
+  await failInterruptedJobs();
+  await discardInterruptedIngestions();
+  return new Promise((resolve, reject) => {
+    const server = app.listen(listenPort, (error) => {
+      if (error) return reject(error);
+      logger.info({ port: server.address().port }, "Server is running");
+      resolve(server);
     });
-  } catch (error) {
-    console.error("Failed to start the server:", error);
+  });
+}
+
+// Also loaded in-process by the evaluation harness (evaluate.js)
+if (require.main === module) {
+  startServer().catch((error) => {
+    logger.fatal({ err: error }, "Failed to start the server");
     process.exit(1);
-  }
+  });
 }
 
-startServer();
+module.exports = { app, startServer };
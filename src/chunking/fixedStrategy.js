@@ -0,0 +1,15 @@
+// Fixed-size character windows: the original chunker, kept for comparison
+module.exports = {
+  name: "fixed",
+  defaults: { chunkSize: 500, overlap: 100 },
+
+  split(text, { chunkSize, overlap }) {
+    const spans = [];
+    let i = 0;
+    while (i < text.length) {
+      spans.push({ start: i, end: Math.min(i + chunkSize, text.length) });
+      i += chunkSize - overlap;
+    }
+    return spans;
+  },
+};
@@ -0,0 +1,105 @@
+const fixedStrategy = require("./fixedStrategy");
+const recursiveStrategy = require("./recursiveStrategy");
+const tokenStrategy = require("./tokenStrategy");
+const sectionStrategy = require("./sectionStrategy");
+const { ValidationError } = require("../errors");
+
+const strategies = {
+  [fixedStrategy.name]: fixedStrategy,
+  [recursiveStrategy.name]: recursiveStrategy,
+  [tokenStrategy.name]: tokenStrategy,
+  [sectionStrategy.name]: sectionStrategy,
+};
+
+const DEFAULT_STRATEGY = process.env.CHUNKING_STRATEGY || "recursive";
+
+// Fills in the strategy defaults and validates caller-supplied parameters.
+// chunkSize and overlap are in characters, except for the token strategy.
+function resolveChunkingOptions({ strategy, chunkSize, overlap } = {}) {
+  const name = String(strategy || DEFAULT_STRATEGY).toLowerCase();
+  // Own keys only, so names like "constructor" aren't taken for strategies
+  if (!Object.hasOwn(strategies, name)) {
+    throw new ValidationError(
+      `Unknown chunking strategy "${name}". Expected one of: ${Object.keys(
+        strategies
+      ).join(", ")}.`
+    );
+  }
+
+  const options = { strategy: name, ...strategies[name].defaults };
+  for (const [key, value] of Object.entries({ chunkSize, overlap })) {
+    if (value === undefined || value === null || value === "") continue;
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 0) {
+      throw new ValidationError(`'${key}' must be a non-negative integer`);
+    }
+    options[key] = parsed;
+  }
+  if (options.chunkSize < 1) {
+    throw new ValidationError("'chunkSize' must be at least 1");
+  }
+  if (options.overlap >= options.chunkSize) {
+    throw new ValidationError("'overlap' must be smaller than 'chunkSize'");
+  }
+  return options;
+}
+
+// Maps a character offset to its 1-based page using the page start offsets
+function pageAt(pages, offset) {
+  let pageNumber;
+  for (const page of pages) {
+    if (page.start > offset) break;
+    pageNumber = page.pageNumber;
+  }
+  return pageNumber;
+}
+
+// Splits extracted text into chunks. `pages`, when the extractor knows them,
+// are { pageNumber, start, end } character ranges of `text`. `records` are
+// ranges that must not be merged with their neighbours (CSV rows, JSON
+// items); each is chunked on its own. Every chunk records its character
+// offsets into `text`, plus its page range and section heading when those
+// are known.
+function chunkDocument({ text, pages = [], records }, chunkingOptions) {
+  const options = resolveChunkingOptions(chunkingOptions);
+  const { split } = strategies[options.strategy];
+  const spans = records
+    ? records.flatMap((record) =>
+        split(text.slice(record.start, record.end), options).map((span) => ({
+          ...span,
+          start: span.start + record.start,
+          end: span.end + record.start,
+        }))
+      )
+    : split(text, options);
+
+  const chunks = [];
+  for (const span of spans) {
+    // Trim surrounding whitespace without losing track of the offsets
+    let { start, end } = span;
+    while (start < end && /\s/.test(text[start])) start++;
+    while (end > start && /\s/.test(text[end - 1])) end--;
+    if (start === end) continue;
+
+    const chunk = {
+      index: chunks.length,
+      text: text.slice(start, end),
+      startOffset: start,
+      endOffset: end,
+    };
+    if (pages.length > 0) {
+      chunk.pageNumber = pageAt(pages, start);
+      chunk.pageEnd = pageAt(pages, end - 1);
+    }
+    if (span.section) chunk.section = span.section;
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+module.exports = {
+  strategies,
+  DEFAULT_STRATEGY,
+  resolveChunkingOptions,
+  chunkDocument,
+};
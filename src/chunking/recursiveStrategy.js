@@ -0,0 +1,82 @@
+// Splits on the coarsest boundary that fits (paragraphs, then lines, then
+// sentences, then words) and greedily packs the pieces back together up to
+// chunkSize, so chunks end on natural boundaries wherever possible.
+const SEPARATORS = [/\n\s*\n/g, /\n/g, /(?<=[.!?;:])\s+/g, /\s+/g];
+
+// Splits [start, end) into contiguous pieces no longer than chunkSize. Each
+// separator stays attached to the piece before it, so no text is lost.
+function splitSpan(text, start, end, chunkSize, separators) {
+  if (end - start <= chunkSize) return [{ start, end }];
+
+  if (separators.length === 0) {
+    const pieces = [];
+    for (let i = start; i < end; i += chunkSize) {
+      pieces.push({ start: i, end: Math.min(i + chunkSize, end) });
+    }
+    return pieces;
+  }
+
+  const [separator, ...rest] = separators;
+  const segment = text.slice(start, end);
+  const boundaries = [];
+  for (const match of segment.matchAll(separator)) {
+    const boundary = start + match.index + match[0].length;
+    if (boundary > start && boundary < end) boundaries.push(boundary);
+  }
+  if (boundaries.length === 0) {
+    return splitSpan(text, start, end, chunkSize, rest);
+  }
+
+  const pieces = [];
+  let pieceStart = start;
+  for (const boundary of [...boundaries, end]) {
+    pieces.push(...splitSpan(text, pieceStart, boundary, chunkSize, rest));
+    pieceStart = boundary;
+  }
+  return pieces;
+}
+
+// Greedily merges adjacent pieces up to chunkSize. Each new chunk starts with
+// as many trailing pieces of the previous one as fit in `overlap`.
+function mergePieces(pieces, chunkSize, overlap) {
+  const spans = [];
+  let first = 0;
+  while (first < pieces.length) {
+    let last = first;
+    while (
+      last + 1 < pieces.length &&
+      pieces[last + 1].end - pieces[first].start <= chunkSize
+    ) {
+      last++;
+    }
+    spans.push({ start: pieces[first].start, end: pieces[last].end });
+    if (last === pieces.length - 1) break;
+
+    let next = last + 1;
+    while (
+      next - 1 > first &&
+      pieces[last].end - pieces[next - 1].start <= overlap
+    ) {
+      next--;
+    }
+    first = next;
+  }
+  return spans;
+}
+
+function splitRecursive(
+  text,
+  { chunkSize, overlap },
+  start = 0,
+  end = text.length
+) {
+  const pieces = splitSpan(text, start, end, chunkSize, SEPARATORS);
+  return mergePieces(pieces, chunkSize, overlap);
+}
+
+module.exports = {
+  name: "recursive",
+  defaults: { chunkSize: 800, overlap: 100 },
+  split: splitRecursive,
+  splitRecursive,
+};
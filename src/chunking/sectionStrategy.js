@@ -0,0 +1,51 @@
+const { splitRecursive } = require("./recursiveStrategy");
+
+// Markdown headings, plus the heading styles pdf-parse leaves behind:
+// numbered headings ("2.1 Scope"), "Section 4"/"Article IV" lines and short
+// ALL-CAPS lines.
+const HEADING_PATTERNS = [
+  /^#{1,6}\s+\S.*$/,
+  /^(?:section|article|chapter|part|schedule|appendix)\s+[\divxlc]+\b.{0,80}$/i,
+  /^\d+(?:\.\d+)*\.?\s+[A-Z][^.!?]{0,80}$/,
+  /^[A-Z][A-Z0-9 ,&'()\-]{2,60}$/,
+];
+
+function isHeading(line) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length > 100) return false;
+  return HEADING_PATTERNS.some((pattern) => pattern.test(trimmed));
+}
+
+function cleanHeading(line) {
+  return line.trim().replace(/^#{1,6}\s+/, "");
+}
+
+// Splits the text into sections at each heading line, then chunks every
+// section on its own so no chunk straddles two sections. Every chunk
+// records the heading of the section it came from.
+module.exports = {
+  name: "section",
+  defaults: { chunkSize: 1200, overlap: 100 },
+
+  split(text, params) {
+    const sections = [];
+    let current = { start: 0, heading: null };
+    const linePattern = /[^\n]*(?:\n|$)/g;
+    for (const match of text.matchAll(linePattern)) {
+      if (match[0] === "") break;
+      if (isHeading(match[0]) && match.index > current.start) {
+        sections.push({ ...current, end: match.index });
+        current = { start: match.index, heading: cleanHeading(match[0]) };
+      } else if (isHeading(match[0])) {
+        current.heading = cleanHeading(match[0]);
+      }
+    }
+    sections.push({ ...current, end: text.length });
+
+    return sections.flatMap((section) =>
+      splitRecursive(text, params, section.start, section.end).map((span) =>
+        section.heading ? { ...span, section: section.heading } : span
+      )
+    );
+  },
+};
@@ -0,0 +1,29 @@
+const { TOKEN_PATTERN } = require("../utils/text");
+
+// Windows of a fixed number of tokens. Tokens are approximated as words and
+// individual punctuation marks, which tracks model token counts closely
+// enough for sizing chunks without shipping a tokenizer.
+module.exports = {
+  name: "token",
+  defaults: { chunkSize: 200, overlap: 30 },
+
+  split(text, { chunkSize, overlap }) {
+    const tokens = [...text.matchAll(TOKEN_PATTERN)].map((match) => ({
+      start: match.index,
+      end: match.index + match[0].length,
+    }));
+
+    if (tokens.length === 0) return [];
+
+    const spans = [];
+    for (let i = 0; i < tokens.length; i += chunkSize - overlap) {
+      const window = tokens.slice(i, i + chunkSize);
+      spans.push({
+        start: window[0].start,
+        end: window[window.length - 1].end,
+      });
+      if (i + chunkSize >= tokens.length) break;
+    }
+    return spans;
+  },
+};
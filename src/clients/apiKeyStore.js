@@ -0,0 +1,72 @@
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+const { getCollection } = require("./dataStore");
+
+const KEY_PREFIX = "qa_";
+
+// Only a SHA-256 hash of each key is stored; the key itself is shown once,
+// when it is created
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+// Leaves the hash out of everything handed to callers
+function describe({ keyHash, ...apiKey }) {
+  return apiKey;
+}
+
+function getApiKeyStore() {
+  const apiKeys = getCollection("apiKeys");
+
+  return {
+    // Resolves to { apiKey, key }, where `key` is the secret to hand out
+    async create({ tenantId, name, role = "user" }) {
+      const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+      const apiKey = await apiKeys.insert({
+        id: uuidv4(),
+        tenantId,
+        name,
+        role,
+        keyHash: hashKey(key),
+        // Enough to recognise the key in a list without revealing it
+        preview: `${key.slice(0, KEY_PREFIX.length + 4)}…`,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        revokedAt: null,
+      });
+      return { apiKey: describe(apiKey), key };
+    },
+
+    // The active key matching `key`, or null
+    async findByKey(key) {
+      const [apiKey] = await apiKeys.list({ keyHash: hashKey(key) });
+      return apiKey && !apiKey.revokedAt ? describe(apiKey) : null;
+    },
+
+    async get(id) {
+      const apiKey = await apiKeys.get(id);
+      return apiKey ? describe(apiKey) : null;
+    },
+
+    async list(filter) {
+      const records = await apiKeys.list(filter);
+      return records
+        .map(describe)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    async revoke(id) {
+      const apiKey = await apiKeys.get(id);
+      if (!apiKey) return null;
+      return describe(
+        await apiKeys.update(id, {
+          revokedAt: apiKey.revokedAt || new Date().toISOString(),
+        })
+      );
+    },
+
+    async markUsed(id) {
+      await apiKeys.update(id, { lastUsedAt: new Date().toISOString() });
+    },
+  };
+}
+
+module.exports = { getApiKeyStore };
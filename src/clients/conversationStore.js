@@ -0,0 +1,68 @@
+const { v4: uuidv4 } = require("uuid");
+const { getCollection } = require("./dataStore");
+const { belongsToTenant } = require("../utils/tenants");
+
+// Appends to one conversation are applied one after another so overlapping
+// turns don't overwrite each other's messages
+const pendingAppends = new Map();
+
+// Chat sessions with their full message history. Messages are stored on the
+// conversation record as { role: "user" | "assistant", content, createdAt }
+// plus whatever extra fields the caller attaches (sources, ...). Scoped to
+// one tenant like the document store.
+function getConversationStore(tenantId) {
+  const conversations = getCollection("conversations");
+
+  async function get(id) {
+    const conversation = await conversations.get(id);
+    return belongsToTenant(conversation, tenantId) ? conversation : null;
+  }
+
+  return {
+    async create({ title }) {
+      const now = new Date().toISOString();
+      return conversations.insert({
+        id: uuidv4(),
+        tenantId,
+        title,
+        createdAt: now,
+        updatedAt: now,
+        messages: [],
+      });
+    },
+
+    get,
+
+    async delete(id) {
+      return (await get(id)) ? conversations.delete(id) : false;
+    },
+
+    // Most recently active first
+    async list(filter) {
+      const records = await conversations.list(filter);
+      return records
+        .filter((conversation) => belongsToTenant(conversation, tenantId))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    },
+
+    appendMessages(id, messages) {
+      const previous = pendingAppends.get(id) || Promise.resolve();
+      const append = previous.then(async () => {
+        const conversation = await get(id);
+        if (!conversation) return null;
+        return conversations.update(id, {
+          messages: [...conversation.messages, ...messages],
+          updatedAt: new Date().toISOString(),
+        });
+      });
+      const settled = append.catch(() => {});
+      pendingAppends.set(id, settled);
+      settled.then(() => {
+        if (pendingAppends.get(id) === settled) pendingAppends.delete(id);
+      });
+      return append;
+    },
+  };
+}
+
+module.exports = { getConversationStore };
@@ -0,0 +1,60 @@
+require("dotenv").config();
+const { logger } = require("../observability/logger");
+
+// Where application records (documents, conversations, ...) are kept,
+// selected with the DATA_STORE environment variable. The JSON file store
+// needs no setup and is the default.
+const backends = {
+  json: () => require("./dataStores/jsonDataStore").createJsonDataStore,
+  mongodb: () => require("./dataStores/mongoDataStore").createMongoDataStore,
+};
+
+let dataStore;
+const collections = new Map();
+
+async function initializeDataStore() {
+  const backend = (process.env.DATA_STORE || "json").toLowerCase();
+  if (!backends[backend]) {
+    throw new Error(
+      `Unknown DATA_STORE "${backend}". Expected one of: ${Object.keys(
+        backends
+      ).join(", ")}.`
+    );
+  }
+
+  try {
+    const createStore = backends[backend]();
+    const store = createStore();
+    await store.initialize();
+    dataStore = store;
+    collections.clear();
+  } catch (error) {
+    logger.error({ err: error, backend }, "Error initializing the data store");
+    throw error;
+  }
+}
+
+// Collections share one interface regardless of backend:
+// insert(record), get(id), list(filter), update(id, changes), delete(id)
+// and drop(), which removes the collection with all of its records.
+// Every record carries its own string `id`. Names may contain "/", which
+// the JSON store turns into subdirectories.
+function getCollection(name) {
+  if (!dataStore) {
+    throw new Error(
+      "Data store has not been initialized. Please call initializeDataStore() first."
+    );
+  }
+  if (!collections.has(name)) {
+    collections.set(name, dataStore.collection(name));
+  }
+  return collections.get(name);
+}
+
+// Removes the collection `name` and everything in it
+async function dropCollection(name) {
+  await getCollection(name).drop();
+  collections.delete(name);
+}
+
+module.exports = { initializeDataStore, getCollection, dropCollection };
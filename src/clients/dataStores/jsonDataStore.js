@@ -0,0 +1,103 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { readJsonFile, writeJsonFile } = require("../../utils/jsonFile");
+const { logger } = require("../../observability/logger");
+
+// Returns true when every key of `filter` equals the record's value
+function matches(record, filter) {
+  return Object.entries(filter).every(([key, value]) => record[key] === value);
+}
+
+// Keeps each collection in memory and mirrors it to <DATA_DIR>/<name>.json.
+// Fine for a single server process; use the MongoDB store when several
+// processes share the same data.
+function createJsonDataStore() {
+  const directory = path.resolve(process.env.DATA_DIR || "data");
+
+  function createCollection(name) {
+    const filePath = path.join(directory, `${name}.json`);
+    const records = new Map();
+    const loaded = readJsonFile(filePath, []).then((stored) => {
+      for (const record of stored) {
+        records.set(record.id, record);
+      }
+    });
+    // Serializes writes so concurrent requests never interleave file updates
+    let pendingWrite = Promise.resolve();
+
+    function save() {
+      pendingWrite = pendingWrite
+        .catch(() => {})
+        .then(() => writeJsonFile(filePath, [...records.values()]));
+      return pendingWrite;
+    }
+
+    // Hand out copies so callers can't mutate the stored records
+    const copy = (record) => structuredClone(record);
+
+    return {
+      async insert(record) {
+        await loaded;
+        if (records.has(record.id)) {
+          throw new Error(
+            `A ${name} record with id ${record.id} already exists`
+          );
+        }
+        records.set(record.id, copy(record));
+        await save();
+        return copy(record);
+      },
+
+      async get(id) {
+        await loaded;
+        const record = records.get(id);
+        return record ? copy(record) : null;
+      },
+
+      async list(filter = {}) {
+        await loaded;
+        return [...records.values()]
+          .filter((record) => matches(record, filter))
+          .map(copy);
+      },
+
+      async update(id, changes) {
+        await loaded;
+        const record = records.get(id);
+        if (!record) return null;
+        const updated = { ...record, ...copy(changes) };
+        records.set(id, updated);
+        await save();
+        return copy(updated);
+      },
+
+      async delete(id) {
+        await loaded;
+        const existed = records.delete(id);
+        if (existed) await save();
+        return existed;
+      },
+
+      async drop() {
+        await loaded;
+        records.clear();
+        pendingWrite = pendingWrite
+          .catch(() => {})
+          .then(() => fs.rm(filePath, { force: true }));
+        return pendingWrite;
+      },
+    };
+  }
+
+  return {
+    name: "json",
+
+    async initialize() {
+      logger.info({ directory }, "Storing data as JSON files");
+    },
+
+    collection: createCollection,
+  };
+}
+
+module.exports = { createJsonDataStore };
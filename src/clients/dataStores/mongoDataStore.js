@@ -0,0 +1,69 @@
+const { MongoClient } = require("mongodb");
+const { logger } = require("../../observability/logger");
+
+function createMongoDataStore() {
+  if (!process.env.MONGODB_URI) {
+    throw new Error("MONGODB_URI must be set to use the MongoDB data store.");
+  }
+  const client = new MongoClient(process.env.MONGODB_URI);
+  let db;
+
+  // Our own `id` is the public identifier; hide Mongo's `_id`
+  const projection = { _id: 0 };
+
+  function createCollection(name) {
+    const collection = db.collection(name);
+    const indexed = collection.createIndex({ id: 1 }, { unique: true });
+
+    return {
+      async insert(record) {
+        await indexed;
+        await collection.insertOne({ ...record });
+        return { ...record };
+      },
+
+      async get(id) {
+        return collection.findOne({ id }, { projection });
+      },
+
+      async list(filter = {}) {
+        return collection.find(filter, { projection }).toArray();
+      },
+
+      async update(id, changes) {
+        return collection.findOneAndUpdate(
+          { id },
+          { $set: changes },
+          { returnDocument: "after", projection }
+        );
+      },
+
+      async delete(id) {
+        const result = await collection.deleteOne({ id });
+        return result.deletedCount > 0;
+      },
+
+      async drop() {
+        await indexed;
+        await collection.drop().catch((error) => {
+          // Nothing to drop
+          if (error.codeName !== "NamespaceNotFound") throw error;
+        });
+      },
+    };
+  }
+
+  return {
+    name: "mongodb",
+
+    async initialize() {
+      await client.connect();
+      db = client.db(process.env.MONGODB_DB || "query_assistant");
+      logger.info("Connected to MongoDB data store");
+    },
+
+    collection: createCollection,
+  };
+}
+
+module.exports = { createMongoDataStore };
@@ -0,0 +1,114 @@
+const { getCollection } = require("./dataStore");
+const { belongsToTenant } = require("../utils/tenants");
+
+// Uploads of the same file name form a series of versions sharing a
+// `seriesId`; only the newest is marked `isLatest`. Records from before
+// versioning have none of these fields and count as the only (and latest)
+// version of their own series.
+const isLatestVersion = (document) => document.isLatest !== false;
+const seriesOf = (document) => document.seriesId || document.id;
+const versionOf = (document) => document.version || 1;
+
+// Ingestion registers a document as "pending" before any of its vectors are
+// stored, so its namespace is claimed by its tenant from the start. Pending
+// documents are invisible (not listed, fetched or searched) until ingestion
+// marks them "ready"; records from before this have no status and are ready.
+const isPending = (document) => document.status === "pending";
+
+// Registry of uploaded documents, keyed by their vector store namespace.
+// Scoped to one tenant: other tenants' documents are invisible through it.
+function getDocumentStore(tenantId) {
+  const documents = getCollection("documents");
+
+  async function get(id) {
+    const document = await documents.get(id);
+    return belongsToTenant(document, tenantId) && !isPending(document)
+      ? document
+      : null;
+  }
+
+  async function getPending(id) {
+    const document = await documents.get(id);
+    return belongsToTenant(document, tenantId) && isPending(document)
+      ? document
+      : null;
+  }
+
+  // Newest first
+  async function list(filter) {
+    const records = await documents.list(filter);
+    return records
+      .filter(
+        (document) =>
+          belongsToTenant(document, tenantId) && !isPending(document)
+      )
+      .sort((a, b) => b.uploadedAt.localeCompare(a.uploadedAt));
+  }
+
+  return {
+    create: (document) => documents.insert({ ...document, tenantId }),
+    get,
+    list,
+
+    async update(id, changes) {
+      return (await get(id)) ? documents.update(id, changes) : null;
+    },
+
+    async delete(id) {
+      return (await get(id)) ? documents.delete(id) : false;
+    },
+
+    // Ingestion's own access to the document it is processing, which no
+    // one else can change or delete until it is ready
+    async updatePending(id, changes) {
+      return (await getPending(id)) ? documents.update(id, changes) : null;
+    },
+
+    async deletePending(id) {
+      return (await getPending(id)) ? documents.delete(id) : false;
+    },
+
+    // Every version in a series, oldest first
+    async listVersions(seriesId) {
+      const records = await list();
+      return records
+        .filter((document) => seriesOf(document) === seriesId)
+        .sort((a, b) => versionOf(a) - versionOf(b));
+    },
+
+    // The current version of the document uploaded as `originalName`
+    async findLatestByName(originalName) {
+      const records = await list({ originalName });
+      return records.find(isLatestVersion) || null;
+    },
+
+    // Only latest versions count: re-uploading an earlier version's file
+    // makes it the latest version again
+    async findByContentHash(contentHash) {
+      const [document] = (await list({ contentHash })).filter(isLatestVersion);
+      return document || null;
+    },
+  };
+}
+
+// Namespaces of every registered document, pending or not, whatever its
+// tenant
+async function listRegisteredNamespaces() {
+  const records = await getCollection("documents").list();
+  return records.map((document) => document.namespace);
+}
+
+// Pending documents of every tenant: ingestions that were still running
+// when the server stopped
+async function listPendingDocuments() {
+  return getCollection("documents").list({ status: "pending" });
+}
+
+module.exports = {
+  getDocumentStore,
+  listRegisteredNamespaces,
+  listPendingDocuments,
+  isLatestVersion,
+  seriesOf,
+  versionOf,
+};
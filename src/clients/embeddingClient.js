@@ -0,0 +1,140 @@
+const crypto = require("crypto");
+const { withRetry } = require("../utils/retry");
+const { createTokenBucket } = require("../utils/tokenBucket");
+const { logger } = require("../observability/logger");
+
+// Embedded texts remembered by content hash (least recently used evicted)
+const EMBEDDING_CACHE_SIZE = parseInt(
+  process.env.EMBEDDING_CACHE_SIZE || "10000",
+  10
+);
+// Texts embedded per minute across the whole process; 0 disables the limit
+const EMBEDDING_RATE_LIMIT = parseInt(
+  process.env.EMBEDDING_RATE_LIMIT || "1500",
+  10
+);
+const EMBEDDING_MAX_RETRIES = parseInt(
+  process.env.EMBEDDING_MAX_RETRIES || "5",
+  10
+);
+const EMBEDDING_RETRY_BASE_MS = parseInt(
+  process.env.EMBEDDING_RETRY_BASE_MS || "500",
+  10
+);
+
+// Wraps a provider's embedding calls with a content-hash cache, a shared
+// rate limit, batching and retries with backoff. Keeps counters of what it
+// did for getStats().
+function createEmbeddingClient(provider) {
+  const cache = new Map();
+  const limiter =
+    EMBEDDING_RATE_LIMIT > 0
+      ? createTokenBucket({
+          capacity: EMBEDDING_RATE_LIMIT,
+          refillPerSecond: EMBEDDING_RATE_LIMIT / 60,
+        })
+      : null;
+  const stats = {
+    texts: 0,
+    cacheHits: 0,
+    cacheMisses: 0,
+    requests: 0,
+    retries: 0,
+    failures: 0,
+    throttledMs: 0,
+  };
+
+  // Model and dimension are part of the key so switching models never
+  // serves stale vectors
+  const cacheKey = (text) =>
+    crypto
+      .createHash("sha256")
+      .update(
+        `${provider.name}\0${provider.embeddingModel}\0${provider.dimension}\0${text}`
+      )
+      .digest("hex");
+
+  function remember(key, values) {
+    cache.delete(key);
+    cache.set(key, values);
+    if (cache.size > EMBEDDING_CACHE_SIZE) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+
+  // One provider call (with retries) for at most maxBatchSize texts
+  async function embedBatch(texts) {
+    if (limiter) stats.throttledMs += await limiter.take(texts.length);
+    try {
+      return await withRetry(
+        () => {
+          stats.requests++;
+          return provider.embedBatch(texts);
+        },
+        {
+          retries: EMBEDDING_MAX_RETRIES,
+          baseDelayMs: EMBEDDING_RETRY_BASE_MS,
+          onRetry(error, attempt, delay) {
+            stats.retries++;
+            logger.warn(
+              {
+                err: error,
+                attempt,
+                maxRetries: EMBEDDING_MAX_RETRIES,
+                delayMs: Math.round(delay),
+              },
+              "Embedding request failed, retrying"
+            );
+          },
+        }
+      );
+    } catch (error) {
+      stats.failures++;
+      throw error;
+    }
+  }
+
+  // Resolves to { embeddings, embedded }: one vector per text, in order, and
+  // how many texts were sent to the provider rather than served from the
+  // cache
+  async function embedTexts(texts) {
+    stats.texts += texts.length;
+    const keys = texts.map(cacheKey);
+    const results = new Array(texts.length);
+
+    // Identical texts in one call are only embedded once
+    const pending = new Map();
+    keys.forEach((key, i) => {
+      if (cache.has(key)) {
+        stats.cacheHits++;
+        results[i] = cache.get(key);
+        remember(key, results[i]);
+      } else if (pending.has(key)) {
+        stats.cacheHits++;
+        pending.get(key).indices.push(i);
+      } else {
+        stats.cacheMisses++;
+        pending.set(key, { text: texts[i], indices: [i] });
+      }
+    });
+
+    const misses = [...pending.entries()];
+    const batchSize = provider.maxBatchSize || 1;
+    for (let start = 0; start < misses.length; start += batchSize) {
+      const batch = misses.slice(start, start + batchSize);
+      const vectors = await embedBatch(batch.map(([, { text }]) => text));
+      batch.forEach(([key, { indices }], i) => {
+        remember(key, vectors[i]);
+        for (const index of indices) results[index] = vectors[i];
+      });
+    }
+    return { embeddings: results, embedded: misses.length };
+  }
+
+  return {
+    embedTexts,
+    getStats: () => ({ ...stats, cacheSize: cache.size }),
+  };
+}
+
+module.exports = { createEmbeddingClient };
@@ -0,0 +1,15 @@
+const { getCollection } = require("./dataStore");
+
+// Background jobs (ingestion, ...) with their stage-by-stage progress
+function getJobStore() {
+  const jobs = getCollection("jobs");
+
+  return {
+    create: (job) => jobs.insert(job),
+    get: (id) => jobs.get(id),
+    update: (id, changes) => jobs.update(id, changes),
+    list: (filter) => jobs.list(filter),
+  };
+}
+
+module.exports = { getJobStore };
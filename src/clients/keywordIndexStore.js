@@ -0,0 +1,93 @@
+const { getCollection, dropCollection } = require("./dataStore");
+
+// An index's chunks, which hold each chunk's text, are kept in a collection
+// of the namespace's own, in records of about this many bytes of JSON. So
+// no record of a large document comes near MongoDB's 16 MB document limit,
+// and saving or deleting one document's index never rewrites another's
+// chunks (the JSON store rewrites a whole collection file on every write).
+const CHUNK_GROUP_BYTES = 1024 * 1024;
+
+// Indexes kept in memory, least recently used evicted. Saved indexes never
+// change, so a cached one is only dropped when its namespace is deleted.
+const KEYWORD_INDEX_CACHE_SIZE = parseInt(
+  process.env.KEYWORD_INDEX_CACHE_SIZE || "50",
+  10
+);
+
+const cache = new Map();
+
+function remember(namespace, index) {
+  cache.delete(namespace);
+  cache.set(namespace, index);
+  if (cache.size > KEYWORD_INDEX_CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+const chunkCollection = (namespace) => `keywordIndexChunks/${namespace}`;
+
+function groupChunks(chunks) {
+  const groups = [];
+  let group = [];
+  let size = 0;
+  for (const chunk of chunks) {
+    const chunkSize = JSON.stringify(chunk).length;
+    if (group.length > 0 && size + chunkSize > CHUNK_GROUP_BYTES) {
+      groups.push(group);
+      group = [];
+      size = 0;
+    }
+    group.push(chunk);
+    size += chunkSize;
+  }
+  if (group.length > 0) groups.push(group);
+  return groups;
+}
+
+// BM25 indexes built at upload time, one per document namespace. Indexes
+// handed out by get() may be shared between callers, so they are read-only.
+function getKeywordIndexStore() {
+  const indexes = getCollection("keywordIndexes");
+
+  return {
+    // The index record goes in last, so a half-saved index is never found
+    async save(namespace, { chunks, ...index }) {
+      const chunkGroups = getCollection(chunkCollection(namespace));
+      for (const [position, group] of groupChunks(chunks).entries()) {
+        await chunkGroups.insert({
+          id: String(position),
+          position,
+          chunks: group,
+        });
+      }
+      return indexes.insert({ id: namespace, ...index });
+    },
+
+    async get(namespace) {
+      if (cache.has(namespace)) {
+        const cached = cache.get(namespace);
+        remember(namespace, cached);
+        return cached;
+      }
+      let index = await indexes.get(namespace);
+      if (!index) return null;
+      // Indexes saved before chunks were stored apart still hold them
+      if (!index.chunks) {
+        const groups = await getCollection(chunkCollection(namespace)).list();
+        groups.sort((a, b) => a.position - b.position);
+        index = { ...index, chunks: groups.flatMap((group) => group.chunks) };
+      }
+      remember(namespace, index);
+      return index;
+    },
+
+    async delete(namespace) {
+      cache.delete(namespace);
+      const deleted = await indexes.delete(namespace);
+      await dropCollection(chunkCollection(namespace));
+      return deleted;
+    },
+  };
+}
+
+module.exports = { getKeywordIndexStore };
@@ -0,0 +1,564 @@
+require("dotenv").config();
+const { countTokens } = require("../utils/text");
+const { createEmbeddingClient } = require("./embeddingClient");
+const { recordUsage } = require("../usage");
+const { AppError, UpstreamError } = require("../errors");
+const { logger } = require("../observability/logger");
+const {
+  countGeneration,
+  countEmbeddings,
+  startSpan,
+  timeStage,
+} = require("../observability/metrics");
+const {
+  parseStructuredOutput,
+  StructuredOutputError,
+} = require("../structured");
+const { DEFAULT_TEMPLATE, renderTemplate } = require("../prompts/templates");
+
+// Embedding and generation providers, selected with the LLM_PROVIDER
+// environment variable. Required lazily so only the selected provider's SDK
+// and credentials are needed. Providers implement embed, embedBatch,
+// generate and stream; `ping({ signal })`, a cheap call proving the
+// provider is reachable, is optional.
+const providers = {
+  gemini: () => require("./providers/geminiProvider").createGeminiProvider,
+  openai: () => require("./providers/openaiProvider").createOpenAIProvider,
+  ollama: () => require("./providers/ollamaProvider").createOllamaProvider,
+  stub: () => require("./providers/stubProvider").createStubProvider,
+};
+
+let provider;
+
+function getProvider() {
+  if (provider) return provider;
+
+  const name = (process.env.LLM_PROVIDER || "gemini").toLowerCase();
+  if (!providers[name]) {
+    throw new Error(
+      `Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(
+        providers
+      ).join(", ")}.`
+    );
+  }
+
+  // Only pass overrides that are set so each provider keeps its own defaults
+  const options = {};
+  if (process.env.EMBEDDING_MODEL) {
+    options.embeddingModel = process.env.EMBEDDING_MODEL;
+  }
+  if (process.env.GENERATION_MODEL) {
+    options.generationModel = process.env.GENERATION_MODEL;
+  }
+  if (process.env.EMBEDDING_DIMENSION) {
+    options.dimension = parseInt(process.env.EMBEDDING_DIMENSION, 10);
+  }
+
+  const createProvider = providers[name]();
+  provider = createProvider(options);
+  logger.info(
+    {
+      provider: provider.name,
+      embeddingModel: provider.embeddingModel,
+      generationModel: provider.generationModel,
+    },
+    "LLM provider ready"
+  );
+  return provider;
+}
+
+// For readiness checks: throws when the provider can't be reached.
+// Providers without a `ping` are ready once created.
+async function pingProvider({ signal } = {}) {
+  const current = getProvider();
+  if (typeof current.ping === "function") await current.ping({ signal });
+  return current;
+}
+
+// The vector store must be created with this dimension
+function getEmbeddingDimension() {
+  return getProvider().dimension;
+}
+
+// Provider failures reach clients as UPSTREAM_ERROR (or
+// UPSTREAM_RATE_LIMITED once retries are exhausted), with the provider's
+// own message only in development
+function upstreamError(error, action) {
+  if (error instanceof AppError) return error;
+  const { name } = getProvider();
+  return new UpstreamError(`The ${name} provider failed to ${action}`, {
+    code: error.status === 429 ? "UPSTREAM_RATE_LIMITED" : "UPSTREAM_ERROR",
+    provider: name,
+    details: process.env.NODE_ENV === "development" ? error.message : undefined,
+  });
+}
+
+let embeddingClient;
+
+function getEmbeddingClient() {
+  if (!embeddingClient) {
+    embeddingClient = createEmbeddingClient(getProvider());
+  }
+  return embeddingClient;
+}
+
+// Every function below takes the caller as { tenantId, log }: model calls
+// count towards `tenantId`'s usage and are logged to `log`, the request's
+// or job's logger.
+
+// Embeds many texts with as few provider calls as possible. Cached texts
+// are served from memory; the rest are batched, rate limited and retried.
+// Only the texts the provider embedded count towards usage.
+async function getEmbeddings(texts, { tenantId, log = logger } = {}) {
+  let result;
+  try {
+    result = await getEmbeddingClient().embedTexts(texts);
+  } catch (error) {
+    log.error({ err: error }, "Error getting embeddings");
+    throw upstreamError(error, "embed the text");
+  }
+  countEmbeddings(getProvider().name, texts.length);
+  await recordUsage(tenantId, { embeddedTexts: result.embedded });
+  return result.embeddings;
+}
+
+async function getEmbedding(text, options) {
+  const [embedding] = await getEmbeddings([text], options);
+  return embedding;
+}
+
+// Cache hits, retries and other counters since the server started
+function getEmbeddingStats() {
+  return getEmbeddingClient().getStats();
+}
+
+// Counts a generation call towards `tenantId`'s usage. Providers return
+// plain text, so tokens are estimated from the prompt and reply.
+function recordGeneration(
+  tenantId,
+  prompt,
+  reply,
+  usage = {
+    promptTokens: countTokens(prompt),
+    completionTokens: countTokens(reply),
+  }
+) {
+  countGeneration(getProvider().name, usage);
+  return recordUsage(tenantId, {
+    generations: 1,
+    promptTokens: usage.promptTokens || 0,
+    completionTokens: usage.completionTokens || 0,
+    generationTokens: (usage.promptTokens || 0) + (usage.completionTokens || 0),
+  });
+}
+
+// Renders prior turns as "User: ..." / "Assistant: ..." lines
+function formatHistory(history) {
+  return history
+    .map(
+      (message) =>
+        `${message.role === "user" ? "User" : "Assistant"}: ${message.content}`
+    )
+    .join("\n");
+}
+
+const ANSWER_INSTRUCTIONS = `Answer the user's question based on the following context.
+    If the context does not contain the answer, say that you don't know.`;
+
+// Renders the answer prompt from `template` (see src/prompts/templates).
+// `instructions` say what to do with the context (answer, summarize,
+// compare, ...); the default template leaves out the citation rules and
+// context when there is no context, such as for small talk. `answerFormat`
+// replaces the final "Answer:" cue, e.g. with JSON output instructions for
+// structured answers. `documents` describes the documents the sources come
+// from.
+function buildAnswerPrompt(
+  userQuery,
+  context,
+  {
+    history = [],
+    instructions = ANSWER_INSTRUCTIONS,
+    answerFormat = "Answer:",
+    template = DEFAULT_TEMPLATE,
+    intent = "",
+    documents = "",
+  } = {}
+) {
+  return renderTemplate(template, {
+    instructions,
+    intent,
+    question: userQuery,
+    context,
+    history: formatHistory(history),
+    documents,
+    answerFormat,
+  });
+}
+
+// The `answerFormat` of structured answers matching `schema` (as returned
+// by resolveSchema)
+function structuredAnswerFormat(schema) {
+  return `Respond with a single JSON object, and nothing else, that matches this JSON Schema:
+${JSON.stringify(schema.jsonSchema)}
+
+JSON:`;
+}
+
+// Turns a follow-up such as "what about section 3?" into a question that
+// makes sense on its own, so it can be embedded and searched without the
+// conversation around it
+async function rewriteQuestion(
+  question,
+  history,
+  { tenantId, log = logger } = {}
+) {
+  if (history.length === 0) return question;
+
+  const prompt = `
+    Rewrite the follow-up question below as a single standalone question that can be understood without the conversation.
+    Keep names, numbers and other specifics from the conversation that the follow-up refers to.
+    If the follow-up is already standalone, return it unchanged. Reply with the question only.
+
+    Conversation:
+    ${formatHistory(history)}
+
+    Follow-up question:
+    ${question}
+
+    Standalone question:
+  `;
+
+  try {
+    const rewritten = await timeStage("rewrite", log, () =>
+      getProvider().generate(prompt, { task: "rewrite", question, history })
+    );
+    await recordGeneration(tenantId, prompt, rewritten);
+    return rewritten.trim() || question;
+  } catch (error) {
+    // Retrieval still works with the raw follow-up, just less precisely
+    log.error({ err: error }, "Error rewriting follow-up question");
+    return question;
+  }
+}
+
+async function generateAnswer(
+  userQuery,
+  context,
+  {
+    history = [],
+    instructions,
+    template,
+    documents,
+    intent,
+    tenantId,
+    log = logger,
+  } = {}
+) {
+  const prompt = buildAnswerPrompt(userQuery, context, {
+    history,
+    instructions,
+    template,
+    intent,
+    documents,
+  });
+
+  let answer;
+  try {
+    answer = await timeStage("generate", log, () =>
+      getProvider().generate(prompt, { question: userQuery, context, intent })
+    );
+  } catch (error) {
+    log.error({ err: error }, "Error generating answer");
+    throw upstreamError(error, "generate an answer");
+  }
+  await recordGeneration(tenantId, prompt, answer);
+  return answer;
+}
+
+const STRUCTURED_MAX_ATTEMPTS = parseInt(
+  process.env.STRUCTURED_MAX_ATTEMPTS || "3",
+  10
+);
+
+// Asks the model how relevant each passage is to the question, on a 0-10
+// scale. Resolves to one score per passage, in order, or null when the
+// reply can't be used.
+async function scorePassages(
+  question,
+  passages,
+  { tenantId, log = logger } = {}
+) {
+  const prompt = `
+    Rate how well each numbered passage helps answer the question, from 0 (irrelevant) to 10 (answers it directly).
+    Reply with a JSON array containing one number per passage, in order, and nothing else.
+
+    Question:
+    ${question}
+
+    Passages:
+    ${passages.map((passage, i) => `[${i + 1}] ${passage}`).join("\n\n")}
+
+    Scores:
+  `;
+
+  try {
+    const reply = await getProvider().generate(prompt, {
+      task: "rerank",
+      question,
+      passages,
+    });
+    await recordGeneration(tenantId, prompt, reply);
+    const match = reply.match(/\[[\s\S]*\]/);
+    const scores = match ? JSON.parse(match[0]) : null;
+    if (
+      !Array.isArray(scores) ||
+      scores.length !== passages.length ||
+      !scores.every((score) => typeof score === "number")
+    ) {
+      log.warn("Ignoring unusable passage scores from the model");
+      return null;
+    }
+    return scores;
+  } catch (error) {
+    log.error({ err: error }, "Error scoring passages");
+    return null;
+  }
+}
+
+// Asks the model which of `intents` ({ name, description }) the message
+// is. Resolves to the intent's name, or null when the reply isn't one.
+async function classifyQuestion(
+  question,
+  history,
+  intents,
+  { tenantId, log = logger } = {}
+) {
+  const conversation = history.length
+    ? `
+    Conversation so far:
+    ${formatHistory(history)}
+`
+    : "";
+  const prompt = `
+    Classify the user's latest message about their uploaded documents as exactly one of these intents:
+    ${intents.map(({ name, description }) => `- ${name}: ${description}`).join("\n    ")}
+    Reply with the intent name only.
+${conversation}
+    Message:
+    ${question}
+
+    Intent:
+  `;
+
+  try {
+    const reply = await timeStage("classify", log, () =>
+      getProvider().generate(prompt, {
+        task: "classify",
+        question,
+        history,
+        intents: intents.map(({ name }) => name),
+      })
+    );
+    await recordGeneration(tenantId, prompt, reply);
+    const name = reply
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z]/g, "");
+    if (intents.some((intent) => intent.name === name)) return name;
+    log.warn({ reply }, "Ignoring unusable intent from the model");
+    return null;
+  } catch (error) {
+    log.error({ err: error }, "Error classifying the question");
+    return null;
+  }
+}
+
+// One call of a whole-document summary: `instructions` say whether to take
+// notes on a part of the document, combine notes, or write the final
+// summary in its style. `step` and `style` are passed on to the provider.
+async function summarizeText(
+  text,
+  { instructions, step, style, tenantId, log = logger } = {}
+) {
+  const prompt = `
+    You are summarizing a long document in parts. ${instructions}
+    Only use information from the text below, and keep names, dates and figures exactly as written.
+
+    Text:
+    ${text}
+
+    Summary:
+  `;
+
+  let summary;
+  try {
+    summary = await getProvider().generate(prompt, {
+      task: "summarize",
+      text,
+      step,
+      style,
+    });
+  } catch (error) {
+    log.error({ err: error, step }, "Error summarizing text");
+    throw upstreamError(error, "summarize the document");
+  }
+  await recordGeneration(tenantId, prompt, summary);
+  return summary.trim();
+}
+
+// Asks for a JSON answer matching `schema` (as returned by resolveSchema).
+// Replies that fail to parse or validate are sent back to the model with
+// the validation errors until one passes or the attempts run out.
+async function generateStructuredAnswer(
+  userQuery,
+  context,
+  {
+    schema,
+    history = [],
+    instructions,
+    template,
+    documents,
+    intent,
+    tenantId,
+    log = logger,
+  }
+) {
+  const basePrompt = buildAnswerPrompt(userQuery, context, {
+    history,
+    instructions,
+    answerFormat: structuredAnswerFormat(schema),
+    template,
+    intent,
+    documents,
+  });
+
+  let prompt = basePrompt;
+  let lastError;
+  for (let attempt = 1; attempt <= STRUCTURED_MAX_ATTEMPTS; attempt++) {
+    let reply;
+    try {
+      reply = await timeStage("generate", log, () =>
+        getProvider().generate(prompt, {
+          task: "structured",
+          question: userQuery,
+          context,
+          intent,
+          schema: schema.jsonSchema,
+        })
+      );
+    } catch (error) {
+      log.error({ err: error }, "Error generating structured answer");
+      throw upstreamError(error, "generate an answer");
+    }
+    await recordGeneration(tenantId, prompt, reply);
+
+    const result = parseStructuredOutput(reply, schema.validator);
+    if (result.success) {
+      return { data: result.data, attempts: attempt };
+    }
+
+    lastError = result.error;
+    log.warn(
+      { attempt, validationError: lastError },
+      "Structured answer failed validation"
+    );
+    prompt = `${basePrompt}
+
+    Your previous reply was not valid: ${lastError}
+    Previous reply:
+    ${reply}
+
+    Reply again with only the corrected JSON object.`;
+  }
+
+  throw new StructuredOutputError(
+    `No valid structured answer after ${STRUCTURED_MAX_ATTEMPTS} attempts: ${lastError}`
+  );
+}
+
+// Yields { text } pieces of the answer as the provider produces them, then a
+// single { usage } object. Providers that don't report usage get an
+// estimate from the prompt and answer lengths.
+async function* streamAnswer(
+  userQuery,
+  context,
+  {
+    signal,
+    history = [],
+    instructions,
+    template,
+    documents,
+    intent,
+    tenantId,
+    log = logger,
+  } = {}
+) {
+  const prompt = buildAnswerPrompt(userQuery, context, {
+    history,
+    instructions,
+    template,
+    intent,
+    documents,
+  });
+  let answer = "";
+  let usage;
+
+  const endSpan = startSpan("generate", log);
+  try {
+    for await (const event of getProvider().stream(prompt, {
+      question: userQuery,
+      context,
+      intent,
+      signal,
+    })) {
+      if (event.usage) {
+        usage = event.usage;
+      } else if (event.text) {
+        answer += event.text;
+        yield event;
+      }
+    }
+  } catch (error) {
+    if (signal && signal.aborted) {
+      endSpan("aborted");
+      // The tokens produced before the client left were still paid for
+      await recordGeneration(tenantId, prompt, answer);
+      return;
+    }
+    endSpan("error");
+    log.error({ err: error }, "Error streaming answer");
+    throw upstreamError(error, "generate an answer");
+  }
+  endSpan();
+
+  usage = usage || {
+    promptTokens: countTokens(prompt),
+    completionTokens: countTokens(answer),
+    estimated: true,
+  };
+  await recordGeneration(tenantId, prompt, answer, usage);
+  yield {
+    usage: {
+      ...usage,
+      totalTokens: (usage.promptTokens || 0) + (usage.completionTokens || 0),
+    },
+  };
+}
+
+module.exports = {
+  getProvider,
+  pingProvider,
+  getEmbeddingDimension,
+  getEmbedding,
+  getEmbeddings,
+  getEmbeddingStats,
+  buildAnswerPrompt,
+  structuredAnswerFormat,
+  rewriteQuestion,
+  scorePassages,
+  classifyQuestion,
+  summarizeText,
+  generateAnswer,
+  generateStructuredAnswer,
+  streamAnswer,
+};
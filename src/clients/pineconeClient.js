@@ -1,5 +1,6 @@
 const { Pinecone } = require('@pinecone-database/pinecone');
 require('dotenv').config();
+const { logger } = require('../observability/logger');
 
 const pinecone = new Pinecone({
   apiKey: process.env.PINECONE_API_KEY,
@@ -9,14 +10,14 @@ const indexName = 'query-assistant';
 
 let pineconeIndex;
 
-async function initializePinecone() {
+async function initializePinecone(dimension = 768) {
   try {
     const indexList = await pinecone.listIndexes();
     if (!indexList.indexes.some((index) => index.name === indexName)) {
-      console.log(`Creating index: ${indexName}. This may take a moment...`);
+      logger.info({ index: indexName }, 'Creating Pinecone index. This may take a moment...');
       await pinecone.createIndex({
         name: indexName,
-        dimension: 768, // Gemini embedding dimension
+        dimension, // Must match the embedding provider's dimension
         metric: 'cosine',
         spec: {
           serverless: {
@@ -25,13 +26,13 @@ async function initializePinecone() {
           },
         },
       });
-      console.log(`Index '${indexName}' created successfully.`);
+      logger.info({ index: indexName }, 'Pinecone index created');
     } else {
-      console.log(`Successfully connected to existing index '${indexName}'.`);
+      logger.info({ index: indexName }, 'Connected to existing Pinecone index');
     }
     pineconeIndex = pinecone.index(indexName);
   } catch (error) {
-    console.error('Error initializing Pinecone:', error);
+    logger.error({ err: error, index: indexName }, 'Error initializing Pinecone');
     throw error;
   }
 }
@@ -0,0 +1,88 @@
+const { v4: uuidv4 } = require("uuid");
+const { getCollection } = require("./dataStore");
+const { belongsToTenant } = require("../utils/tenants");
+
+// Named prompt templates. Every save of a name adds a new, numbered
+// version; versions are never changed, so answers can be traced back to the
+// exact prompt that produced them. Scoped to one tenant like the document
+// store, which also keeps the tenant's default template as { name,
+// version }, where a null version follows the latest.
+function getPromptTemplateStore(tenantId) {
+  const templates = getCollection("promptTemplates");
+  const defaults = getCollection("promptDefaults");
+
+  // Every version of `name`, oldest first
+  async function listVersions(name) {
+    const records = await templates.list({ name });
+    return records
+      .filter((template) => belongsToTenant(template, tenantId))
+      .sort((a, b) => a.version - b.version);
+  }
+
+  return {
+    listVersions,
+
+    // The latest version of each template, by name
+    async list() {
+      const records = await templates.list();
+      const latest = new Map();
+      for (const template of records) {
+        if (!belongsToTenant(template, tenantId)) continue;
+        const current = latest.get(template.name);
+        if (!current || template.version > current.version) {
+          latest.set(template.name, template);
+        }
+      }
+      return [...latest.values()].sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    // The given version of `name`, or its latest when `version` is null
+    async get(name, version = null) {
+      const versions = await listVersions(name);
+      if (version === null) return versions[versions.length - 1] || null;
+      return versions.find((template) => template.version === version) || null;
+    },
+
+    // Saves `template` as the next version of `name` (1 for a new name)
+    async save(name, { description, template }) {
+      const versions = await listVersions(name);
+      const previous = versions[versions.length - 1];
+      return templates.insert({
+        id: uuidv4(),
+        tenantId,
+        name,
+        version: previous ? previous.version + 1 : 1,
+        description,
+        template,
+        createdAt: new Date().toISOString(),
+      });
+    },
+
+    // Deletes every version of `name`. Resolves to how many there were.
+    async delete(name) {
+      const versions = await listVersions(name);
+      for (const template of versions) {
+        await templates.delete(template.id);
+      }
+      return versions.length;
+    },
+
+    async getDefault() {
+      const record = await defaults.get(tenantId);
+      return record ? { name: record.name, version: record.version } : null;
+    },
+
+    async setDefault({ name, version = null }) {
+      const changes = { name, version, updatedAt: new Date().toISOString() };
+      const updated = await defaults.update(tenantId, changes);
+      if (!updated) await defaults.insert({ id: tenantId, ...changes });
+      return { name, version };
+    },
+
+    async clearDefault() {
+      return defaults.delete(tenantId);
+    },
+  };
+}
+
+module.exports = { getPromptTemplateStore };
@@ -0,0 +1,92 @@
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { getJson } = require("../../utils/http");
+const { logger } = require("../../observability/logger");
+
+function createGeminiProvider({
+  embeddingModel = "text-embedding-004",
+  generationModel = "gemini-2.0-flash-lite",
+  dimension = 768,
+} = {}) {
+  const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
+
+  const embedder = genAI.getGenerativeModel({ model: embeddingModel });
+  let generator;
+  try {
+    generator = genAI.getGenerativeModel({ model: generationModel });
+  } catch (e) {
+    logger.error({ err: e }, "Error initializing generation model");
+  }
+
+  return {
+    name: "gemini",
+    embeddingModel,
+    generationModel,
+    dimension,
+    maxBatchSize: 100,
+
+    // Looking up the embedding model is free and proves the key works
+    async ping({ signal } = {}) {
+      await getJson(
+        `https://generativelanguage.googleapis.com/v1beta/models/${embeddingModel}`,
+        { "x-goog-api-key": process.env.GOOGLE_API_KEY || "" },
+        signal
+      );
+    },
+
+    async embed(text) {
+      const result = await embedder.embedContent(text);
+      return result.embedding.values;
+    },
+
+    async embedBatch(texts) {
+      const result = await embedder.batchEmbedContents({
+        requests: texts.map((text) => ({
+          content: { role: "user", parts: [{ text }] },
+        })),
+      });
+      return result.embeddings.map((embedding) => embedding.values);
+    },
+
+    async generate(prompt) {
+      try {
+        if (!generator) {
+          throw new Error("No generation model initialized.");
+        }
+        const result = await generator.generateContent(prompt);
+        const response = await result.response;
+        return response.text();
+      } catch (error) {
+        // Try to list available models for debugging
+        try {
+          const models = await genAI.listModels();
+          logger.error({ models }, "Available models");
+        } catch (listErr) {
+          logger.error({ err: listErr }, "Error listing available models");
+        }
+        throw error;
+      }
+    },
+
+    async *stream(prompt, { signal } = {}) {
+      if (!generator) {
+        throw new Error("No generation model initialized.");
+      }
+      const result = await generator.generateContentStream(prompt, { signal });
+      for await (const chunk of result.stream) {
+        const text = chunk.text();
+        if (text) yield { text };
+      }
+      const response = await result.response;
+      if (response.usageMetadata) {
+        yield {
+          usage: {
+            promptTokens: response.usageMetadata.promptTokenCount,
+            completionTokens: response.usageMetadata.candidatesTokenCount,
+          },
+        };
+      }
+    },
+  };
+}
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,74 @@
+const { postJson, postRaw, getJson, readLines } = require("../../utils/http");
+
+// Local Ollama-style server (OLLAMA_BASE_URL, default http://localhost:11434)
+function createOllamaProvider({
+  embeddingModel = "nomic-embed-text",
+  generationModel = "llama3.1",
+  dimension = 768,
+} = {}) {
+  const baseUrl = (
+    process.env.OLLAMA_BASE_URL || "http://localhost:11434"
+  ).replace(/\/$/, "");
+
+  return {
+    name: "ollama",
+    embeddingModel,
+    generationModel,
+    dimension,
+    maxBatchSize: 64,
+
+    async ping({ signal } = {}) {
+      await getJson(`${baseUrl}/api/tags`, {}, signal);
+    },
+
+    async embed(text) {
+      const data = await postJson(`${baseUrl}/api/embeddings`, {
+        model: embeddingModel,
+        prompt: text,
+      });
+      return data.embedding;
+    },
+
+    async embedBatch(texts) {
+      const data = await postJson(`${baseUrl}/api/embed`, {
+        model: embeddingModel,
+        input: texts,
+      });
+      return data.embeddings;
+    },
+
+    async generate(prompt) {
+      const data = await postJson(`${baseUrl}/api/generate`, {
+        model: generationModel,
+        prompt,
+        stream: false,
+      });
+      return data.response;
+    },
+
+    // Newline-delimited JSON objects; the last one has `done: true`
+    async *stream(prompt, { signal } = {}) {
+      const response = await postRaw(
+        `${baseUrl}/api/generate`,
+        { model: generationModel, prompt, stream: true },
+        {},
+        signal
+      );
+      for await (const line of readLines(response)) {
+        if (!line.trim()) continue;
+        const data = JSON.parse(line);
+        if (data.response) yield { text: data.response };
+        if (data.done) {
+          yield {
+            usage: {
+              promptTokens: data.prompt_eval_count,
+              completionTokens: data.eval_count,
+            },
+          };
+        }
+      }
+    },
+  };
+}
+
+module.exports = { createOllamaProvider };
@@ -0,0 +1,96 @@
+const { postJson, postRaw, getJson, readLines } = require("../../utils/http");
+
+// Any server speaking the OpenAI REST API (OpenAI itself, Azure-style proxies,
+// vLLM, LM Studio, ...). Point OPENAI_BASE_URL at it.
+function createOpenAIProvider({
+  embeddingModel = "text-embedding-3-small",
+  generationModel = "gpt-4o-mini",
+  dimension = 1536,
+} = {}) {
+  const baseUrl = (
+    process.env.OPENAI_BASE_URL || "https://api.openai.com/v1"
+  ).replace(/\/$/, "");
+  const headers = process.env.OPENAI_API_KEY
+    ? { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` }
+    : {};
+
+  return {
+    name: "openai",
+    embeddingModel,
+    generationModel,
+    dimension,
+    maxBatchSize: 512,
+
+    // Listing models is free and proves the server and key work
+    async ping({ signal } = {}) {
+      await getJson(`${baseUrl}/models`, headers, signal);
+    },
+
+    async embed(text) {
+      const data = await postJson(
+        `${baseUrl}/embeddings`,
+        { model: embeddingModel, input: text },
+        headers
+      );
+      return data.data[0].embedding;
+    },
+
+    async embedBatch(texts) {
+      const data = await postJson(
+        `${baseUrl}/embeddings`,
+        { model: embeddingModel, input: texts },
+        headers
+      );
+      // Results carry their input index and aren't guaranteed to be in order
+      return data.data
+        .sort((a, b) => a.index - b.index)
+        .map((item) => item.embedding);
+    },
+
+    async generate(prompt) {
+      const data = await postJson(
+        `${baseUrl}/chat/completions`,
+        {
+          model: generationModel,
+          messages: [{ role: "user", content: prompt }],
+        },
+        headers
+      );
+      return data.choices[0].message.content;
+    },
+
+    // Server-sent "data: {...}" lines, terminated by "data: [DONE]"
+    async *stream(prompt, { signal } = {}) {
+      const response = await postRaw(
+        `${baseUrl}/chat/completions`,
+        {
+          model: generationModel,
+          messages: [{ role: "user", content: prompt }],
+          stream: true,
+          stream_options: { include_usage: true },
+        },
+        headers,
+        signal
+      );
+      for await (const line of readLines(response)) {
+        if (!line.startsWith("data:")) continue;
+        const payload = line.slice(5).trim();
+        if (payload === "[DONE]") break;
+
+        const data = JSON.parse(payload);
+        const text = data.choices?.[0]?.delta?.content;
+        if (text) yield { text };
+        if (data.usage) {
+          yield {
+            usage: {
+              promptTokens: data.usage.prompt_tokens,
+              completionTokens: data.usage.completion_tokens,
+            },
+          };
+        }
+      }
+    },
+  };
+}
+
+module.exports = { createOpenAIProvider };
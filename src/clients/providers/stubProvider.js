@@ -0,0 +1,219 @@
+const crypto = require("crypto");
+const { normalize } = require("../../utils/similarity");
+const { tokenize, splitSentences } = require("../../utils/text");
+const { classifyByRules } = require("../../intents/rules");
+
+// Deterministic offline provider for tests and CI. Embeddings hash every word
+// into a fixed-size vector (feature hashing), so texts sharing vocabulary end
+// up close together and retrieval behaves sensibly without a real model.
+// Answers are templated from the context sentence that best overlaps the
+// question.
+
+// Splits a numbered context ("[1] label\ntext\n\n[2] ...") into its source
+// blocks, dropping the label lines; unnumbered context is a single block
+function contextBlocks(context) {
+  const blocks = context.split(/^(?=\[\d+\] )/m);
+  return blocks.map((block) => {
+    const numbered = block.match(/^\[(\d+)\] [^\n]*\n([\s\S]*)$/);
+    return numbered
+      ? { sourceIndex: parseInt(numbered[1], 10), text: numbered[2] }
+      : { sourceIndex: null, text: block };
+  });
+}
+
+// The context sentence sharing the most words with the question
+function bestSentence(question, context) {
+  const questionTokens = new Set(tokenize(question));
+  let best = null;
+  let bestScore = 0;
+  for (const { sourceIndex, text } of contextBlocks(context)) {
+    for (const sentence of splitSentences(text)) {
+      const score = tokenize(sentence).filter((token) =>
+        questionTokens.has(token)
+      ).length;
+      if (score > bestScore) {
+        best = { sentence, sourceIndex };
+        bestScore = score;
+      }
+    }
+  }
+  return best;
+}
+
+// Comparison context groups the sources under "## Document A: name"
+// headings; answers with the best sentence from each document in turn.
+// Returns null for context that isn't grouped by document.
+function comparisonAnswer(question, context) {
+  const documents = context
+    .split(/^(?=## Document [A-Z]+: )/m)
+    .map((part) => part.match(/^## (Document [A-Z]+: [^\n]*)\n([\s\S]*)$/))
+    .filter(Boolean);
+  if (documents.length === 0) return null;
+
+  const lines = documents.map(([, heading, text]) => {
+    const best = bestSentence(question, text);
+    if (!best) return `- ${heading}: nothing relevant found.`;
+    const citation = best.sourceIndex ? ` [${best.sourceIndex}]` : "";
+    return `- ${heading}: ${best.sentence}${citation}`;
+  });
+  return `Comparing the documents:\n${lines.join("\n")}`;
+}
+
+// Builds a value matching a JSON Schema from the templated answer. String
+// fields are filled by name: reasoning-like fields explain the stub's
+// choice, source/clause/quote fields get the chosen sentence.
+function fillSchema(schema = {}, { answer, best }, key = "") {
+  if (Array.isArray(schema.enum)) {
+    return schema.enum.includes("unknown") ? "unknown" : schema.enum[0];
+  }
+  switch (schema.type) {
+    case "object":
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([name, child]) => [
+          name,
+          fillSchema(child, { answer, best }, name),
+        ])
+      );
+    case "array":
+      return [];
+    case "number":
+    case "integer":
+      return 0;
+    case "boolean":
+      return false;
+    default:
+      if (/reason/i.test(key)) {
+        return "Chose the context sentence sharing the most words with the question.";
+      }
+      if (/source|clause|quote/i.test(key)) {
+        return best ? best.sentence : "";
+      }
+      return answer;
+  }
+}
+
+function createStubProvider({ dimension = 768 } = {}) {
+  function hashToken(token) {
+    const digest = crypto.createHash("sha256").update(token).digest();
+    return {
+      bucket: digest.readUInt32BE(0) % dimension,
+      sign: digest[4] & 1 ? 1 : -1,
+    };
+  }
+
+  return {
+    name: "stub",
+    embeddingModel: "stub-hash",
+    generationModel: "stub-template",
+    dimension,
+    maxBatchSize: 256,
+
+    async embed(text) {
+      const vector = new Array(dimension).fill(0);
+      for (const token of tokenize(text)) {
+        const { bucket, sign } = hashToken(token);
+        vector[bucket] += sign;
+      }
+      return normalize(vector);
+    },
+
+    async embedBatch(texts) {
+      return Promise.all(texts.map((text) => this.embed(text)));
+    },
+
+    async generate(
+      prompt,
+      {
+        task,
+        question = "",
+        context = "",
+        history = [],
+        schema,
+        passages = [],
+        intent,
+        text = "",
+        step,
+        style,
+      } = {}
+    ) {
+      // Follow-up rewriting: prefix the last user turn so the standalone
+      // query keeps the earlier topic's vocabulary
+      if (task === "rewrite") {
+        const lastUserTurn = [...history]
+          .reverse()
+          .find((message) => message.role === "user");
+        return lastUserTurn ? `${lastUserTurn.content} ${question}` : question;
+      }
+
+      // Reranking: score each passage by the share of question words it
+      // contains
+      if (task === "rerank") {
+        const questionTokens = [...new Set(tokenize(question))];
+        return JSON.stringify(
+          passages.map((passage) => {
+            const passageTokens = new Set(tokenize(passage));
+            const shared = questionTokens.filter((token) =>
+              passageTokens.has(token)
+            ).length;
+            return Math.round((10 * shared) / (questionTokens.length || 1));
+          })
+        );
+      }
+
+      // Intent classification: the keyword rules stand in for the model
+      if (task === "classify") {
+        return classifyByRules(question).intent;
+      }
+
+      // Summaries: the first sentence of each paragraph, keeping "## "
+      // headings, as a list for the final bullet summary
+      if (task === "summarize") {
+        const lines = text
+          .split(/\n{2,}/)
+          .map((paragraph) =>
+            paragraph.startsWith("## ")
+              ? paragraph.split("\n")[0]
+              : splitSentences(paragraph)[0]
+          )
+          .filter(Boolean);
+        return step === "final" && style === "bullet"
+          ? lines
+              .filter((line) => !line.startsWith("## "))
+              .map((line) => `- ${line}`)
+              .join("\n")
+          : lines.join("\n\n");
+      }
+
+      if (intent === "smalltalk") {
+        const reply = "Hello! Ask me anything about your uploaded documents.";
+        return task === "structured"
+          ? JSON.stringify(fillSchema(schema, { answer: reply, best: null }))
+          : reply;
+      }
+
+      const best = bestSentence(question, context);
+      const citation = best && best.sourceIndex ? ` [${best.sourceIndex}]` : "";
+      const answer =
+        (intent === "compare" && comparisonAnswer(question, context)) ||
+        (best
+          ? `Based on the provided context: ${best.sentence}${citation}`
+          : "I don't know based on the provided context.");
+
+      if (task === "structured") {
+        return JSON.stringify(fillSchema(schema, { answer, best }));
+      }
+      return answer;
+    },
+
+    // Replays the templated answer word by word
+    async *stream(prompt, details = {}) {
+      const answer = await this.generate(prompt, details);
+      for (const piece of answer.match(/\S+\s*/g) || []) {
+        if (details.signal && details.signal.aborted) return;
+        yield { text: piece };
+      }
+    },
+  };
+}
+
+module.exports = { createStubProvider };
@@ -0,0 +1,15 @@
+const { getCollection } = require("./dataStore");
+
+// Daily usage counters, one record per tenant per UTC day
+function getUsageStore() {
+  const usage = getCollection("usage");
+
+  return {
+    create: (record) => usage.insert(record),
+    get: (id) => usage.get(id),
+    update: (id, changes) => usage.update(id, changes),
+    list: (filter) => usage.list(filter),
+  };
+}
+
+module.exports = { getUsageStore };
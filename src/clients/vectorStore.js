@@ -0,0 +1,53 @@
+require("dotenv").config();
+const { logger } = require("../observability/logger");
+
+// Available backends, selected with the VECTOR_STORE environment variable.
+// Every adapter implements initialize, upsert, query, listNamespaces and
+// deleteNamespace. `fetch(namespace, ids)`, which returns stored vectors with
+// their values, is optional: FAISS can't give vectors back, so callers fall
+// back to re-embedding.
+// Adapters are required lazily so a backend's dependencies (API keys, native
+// bindings) are only needed when that backend is actually used.
+const backends = {
+  pinecone: () => require("./vectorStores/pineconeStore").createPineconeStore,
+  faiss: () => require("./vectorStores/faissStore").createFaissStore,
+  memory: () => require("./vectorStores/memoryStore").createMemoryStore,
+};
+
+let vectorStore;
+
+async function initializeVectorStore({ dimension = 768 } = {}) {
+  const backend = (process.env.VECTOR_STORE || "pinecone").toLowerCase();
+  if (!backends[backend]) {
+    throw new Error(
+      `Unknown VECTOR_STORE "${backend}". Expected one of: ${Object.keys(
+        backends
+      ).join(", ")}.`
+    );
+  }
+
+  try {
+    const createStore = backends[backend]();
+    const store = createStore({ dimension });
+    await store.initialize();
+    vectorStore = store;
+    logger.info({ backend, dimension }, "Vector store initialized");
+  } catch (error) {
+    logger.error(
+      { err: error, backend },
+      "Error initializing the vector store"
+    );
+    throw error;
+  }
+}
+
+function getVectorStore() {
+  if (!vectorStore) {
+    throw new Error(
+      "Vector store has not been initialized. Please call initializeVectorStore() first."
+    );
+  }
+  return vectorStore;
+}
+
+module.exports = { initializeVectorStore, getVectorStore };
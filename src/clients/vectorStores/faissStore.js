@@ -0,0 +1,142 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { normalize } = require("../../utils/similarity");
+const { logger } = require("../../observability/logger");
+
+// Local FAISS store. Every namespace gets its own flat inner-product index
+// (vectors are normalized, so scores are cosine similarities) plus a JSON
+// sidecar holding the ids and metadata that FAISS itself cannot store. Both
+// files are rewritten after each change so the data survives a restart.
+function createFaissStore({ dimension }) {
+  // Loaded lazily so the other backends work without the native binding.
+  const { IndexFlatIP } = require("faiss-node");
+  const directory = path.resolve(
+    process.env.FAISS_INDEX_DIR || path.join("data", "faiss")
+  );
+
+  // namespace -> { index, records: [{ id, metadata }] }, where records[i]
+  // describes the vector stored at FAISS label i
+  const namespaces = new Map();
+
+  const filePaths = (namespace) => {
+    const base = path.join(directory, encodeURIComponent(namespace));
+    return { indexPath: `${base}.index`, recordsPath: `${base}.json` };
+  };
+
+  async function persist(namespace) {
+    const { indexPath, recordsPath } = filePaths(namespace);
+    const entry = namespaces.get(namespace);
+    entry.index.write(indexPath);
+    await fs.writeFile(
+      recordsPath,
+      JSON.stringify({ namespace, records: entry.records })
+    );
+  }
+
+  return {
+    name: "faiss",
+
+    async initialize() {
+      await fs.mkdir(directory, { recursive: true });
+      const files = await fs.readdir(directory);
+
+      for (const file of files.filter((name) => name.endsWith(".json"))) {
+        const recordsPath = path.join(directory, file);
+        const indexPath = recordsPath.replace(/\.json$/, ".index");
+        try {
+          const { namespace, records } = JSON.parse(
+            await fs.readFile(recordsPath, "utf-8")
+          );
+          const index = IndexFlatIP.read(indexPath);
+          if (index.ntotal() !== records.length) {
+            throw new Error(
+              `index holds ${index.ntotal()} vectors but ${records.length} records`
+            );
+          }
+          namespaces.set(namespace, { index, records });
+        } catch (error) {
+          logger.error(
+            { err: error, file },
+            "Skipping unreadable FAISS namespace"
+          );
+        }
+      }
+      logger.info(
+        { namespaces: namespaces.size, directory },
+        "Loaded FAISS namespaces"
+      );
+    },
+
+    async upsert(namespace, vectors) {
+      if (!namespaces.has(namespace)) {
+        namespaces.set(namespace, {
+          index: new IndexFlatIP(dimension),
+          records: [],
+        });
+      }
+      const entry = namespaces.get(namespace);
+
+      // FAISS has no in-place update: drop existing copies of these ids first.
+      // Flat indexes compact on removal, so the remaining records keep their
+      // relative order and stay aligned with the FAISS labels.
+      const incomingIds = new Set(vectors.map((vector) => vector.id));
+      const staleLabels = [];
+      entry.records.forEach((record, label) => {
+        if (incomingIds.has(record.id)) staleLabels.push(label);
+      });
+      if (staleLabels.length > 0) {
+        entry.index.removeIds(staleLabels);
+        entry.records = entry.records.filter(
+          (record) => !incomingIds.has(record.id)
+        );
+      }
+
+      const flattened = [];
+      for (const vector of vectors) {
+        if (vector.values.length !== dimension) {
+          throw new Error(
+            `Vector ${vector.id} has dimension ${vector.values.length}, expected ${dimension}.`
+          );
+        }
+        flattened.push(...normalize(vector.values));
+        entry.records.push({ id: vector.id, metadata: vector.metadata || {} });
+      }
+      if (flattened.length > 0) {
+        entry.index.add(flattened);
+      }
+
+      await persist(namespace);
+    },
+
+    async query(namespace, vector, { topK = 10 } = {}) {
+      const entry = namespaces.get(namespace);
+      if (!entry || entry.index.ntotal() === 0) return [];
+
+      // faiss-node rejects k larger than the number of stored vectors
+      const k = Math.min(topK, entry.index.ntotal());
+      const { distances, labels } = entry.index.search(normalize(vector), k);
+
+      return labels
+        .map((label, i) => ({ label, score: distances[i] }))
+        .filter(({ label }) => label >= 0)
+        .map(({ label, score }) => ({
+          id: entry.records[label].id,
+          score,
+          metadata: entry.records[label].metadata,
+        }));
+    },
+
+    async listNamespaces() {
+      return [...namespaces.keys()];
+    },
+
+    async deleteNamespace(namespace) {
+      namespaces.delete(namespace);
+      const { indexPath, recordsPath } = filePaths(namespace);
+      await fs.rm(indexPath, { force: true });
+      await fs.rm(recordsPath, { force: true });
+    },
+  };
+}
+
+module.exports = { createFaissStore };
@@ -0,0 +1,69 @@
+const { cosineSimilarity } = require("../../utils/similarity");
+const { logger } = require("../../observability/logger");
+
+// Pure in-memory store. Nothing survives a restart, which makes it a good fit
+// for tests and throwaway local runs.
+function createMemoryStore({ dimension }) {
+  // namespace -> Map(id -> { values, metadata })
+  const namespaces = new Map();
+
+  return {
+    name: "memory",
+
+    async initialize() {
+      logger.info("Using in-memory vector store (data is not persisted)");
+    },
+
+    async upsert(namespace, vectors) {
+      if (!namespaces.has(namespace)) {
+        namespaces.set(namespace, new Map());
+      }
+      const records = namespaces.get(namespace);
+      for (const vector of vectors) {
+        if (vector.values.length !== dimension) {
+          throw new Error(
+            `Vector ${vector.id} has dimension ${vector.values.length}, expected ${dimension}.`
+          );
+        }
+        records.set(vector.id, {
+          values: vector.values,
+          metadata: vector.metadata || {},
+        });
+      }
+    },
+
+    async query(namespace, vector, { topK = 10 } = {}) {
+      const records = namespaces.get(namespace);
+      if (!records) return [];
+
+      const matches = [];
+      for (const [id, record] of records) {
+        matches.push({
+          id,
+          score: cosineSimilarity(vector, record.values),
+          metadata: record.metadata,
+        });
+      }
+      matches.sort((a, b) => b.score - a.score);
+      return matches.slice(0, topK);
+    },
+
+    async fetch(namespace, ids) {
+      const records = namespaces.get(namespace);
+      if (!records) return [];
+      return ids
+        .filter((id) => records.has(id))
+        .map((id) => ({ id, ...records.get(id) }));
+    },
+
+    async listNamespaces() {
+      return [...namespaces.keys()];
+    },
+
+    async deleteNamespace(namespace) {
+      namespaces.delete(namespace);
+    },
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,49 @@
+const { initializePinecone, getPineconeIndex } = require("../pineconeClient");
+
+// Adapter over the hosted Pinecone index. Each document lives in its own
+// Pinecone namespace, so the namespace operations map one-to-one.
+function createPineconeStore({ dimension }) {
+  return {
+    name: "pinecone",
+
+    async initialize() {
+      await initializePinecone(dimension);
+    },
+
+    async upsert(namespace, vectors) {
+      await getPineconeIndex().namespace(namespace).upsert(vectors);
+    },
+
+    async query(namespace, vector, { topK = 10 } = {}) {
+      const response = await getPineconeIndex().namespace(namespace).query({
+        vector,
+        topK,
+        includeMetadata: true,
+      });
+      return response.matches || [];
+    },
+
+    // Pinecone fetches by id through the URL, so ask for a page at a time
+    async fetch(namespace, ids) {
+      const records = [];
+      for (let i = 0; i < ids.length; i += 100) {
+        const response = await getPineconeIndex()
+          .namespace(namespace)
+          .fetch(ids.slice(i, i + 100));
+        records.push(...Object.values(response.records || {}));
+      }
+      return records;
+    },
+
+    async listNamespaces() {
+      const stats = await getPineconeIndex().describeIndexStats();
+      return Object.keys(stats.namespaces || {});
+    },
+
+    async deleteNamespace(namespace) {
+      await getPineconeIndex().namespace(namespace).deleteAll();
+    },
+  };
+}
+
+module.exports = { createPineconeStore };
@@ -0,0 +1,70 @@
+const { getApiKeyStore } = require("../clients/apiKeyStore");
+const { ADMIN_TENANT } = require("../utils/tenants");
+const { ForbiddenError, NotFoundError, ValidationError } = require("../errors");
+
+const ROLES = ["user", "admin"];
+
+// The ADMIN_API_KEY manages the keys of every tenant; other admins only
+// those of their own tenant
+const managesTenant = (caller, tenantId) =>
+  Boolean(caller.bootstrapAdmin) || caller.id === tenantId;
+
+const listApiKeys = async (req, res) => {
+  const apiKeys = await getApiKeyStore().list(
+    req.tenant.bootstrapAdmin ? {} : { tenantId: req.tenant.id }
+  );
+  res.status(200).json({ apiKeys });
+};
+
+// Issues a key for a tenant; tenant admins may leave out their own. The key
+// is only ever returned here.
+const createApiKey = async (req, res) => {
+  const {
+    tenantId = req.tenant.bootstrapAdmin ? undefined : req.tenant.id,
+    name,
+    role = "user",
+  } = req.body || {};
+  if (typeof tenantId !== "string" || !tenantId.trim()) {
+    throw new ValidationError("A 'tenantId' is required");
+  }
+  if (!managesTenant(req.tenant, tenantId.trim())) {
+    throw new ForbiddenError("Admins can only issue keys for their own tenant");
+  }
+  if (tenantId.trim() === ADMIN_TENANT) {
+    throw new ValidationError(
+      `Keys can't be issued for the reserved '${ADMIN_TENANT}' tenant`
+    );
+  }
+  if (name !== undefined && typeof name !== "string") {
+    throw new ValidationError("'name' must be a string");
+  }
+  if (!ROLES.includes(role)) {
+    throw new ValidationError(`'role' must be one of: ${ROLES.join(", ")}`);
+  }
+
+  const { apiKey, key } = await getApiKeyStore().create({
+    tenantId: tenantId.trim(),
+    name: (name || "").trim() || `${tenantId.trim()} key`,
+    role,
+  });
+  req.log.info(
+    { keyId: apiKey.id, keyTenantId: apiKey.tenantId },
+    "Issued API key"
+  );
+  res.status(201).json({ apiKey, key });
+};
+
+// Other tenants' keys are reported as missing to admins who can't manage
+// them
+const revokeApiKey = async (req, res) => {
+  const apiKeys = getApiKeyStore();
+  const existing = await apiKeys.get(req.params.id);
+  if (!existing || !managesTenant(req.tenant, existing.tenantId)) {
+    throw new NotFoundError("API key not found");
+  }
+  const apiKey = await apiKeys.revoke(existing.id);
+  req.log.info({ keyId: apiKey.id }, "Revoked API key");
+  res.status(200).json({ message: "API key revoked", apiKey });
+};
+
+module.exports = { listApiKeys, createApiKey, revokeApiKey };
@@ -0,0 +1,30 @@
+const { getConversationStore } = require("../clients/conversationStore");
+const { NotFoundError } = require("../errors");
+
+const listConversations = async (req, res) => {
+  const conversations = await getConversationStore(req.tenant.id).list();
+  res.status(200).json({
+    conversations: conversations.map(({ messages, ...conversation }) => ({
+      ...conversation,
+      messageCount: messages.length,
+    })),
+  });
+};
+
+const getConversation = async (req, res) => {
+  const conversation = await getConversationStore(req.tenant.id).get(
+    req.params.id
+  );
+  if (!conversation) throw new NotFoundError("Conversation not found");
+  res.status(200).json({ conversation });
+};
+
+const deleteConversation = async (req, res) => {
+  const deleted = await getConversationStore(req.tenant.id).delete(
+    req.params.id
+  );
+  if (!deleted) throw new NotFoundError("Conversation not found");
+  res.status(200).json({ message: "Conversation deleted", id: req.params.id });
+};
+
+module.exports = { listConversations, getConversation, deleteConversation };
@@ -0,0 +1,162 @@
+const {
+  getDocumentStore,
+  isLatestVersion,
+  seriesOf,
+  versionOf,
+} = require("../clients/documentStore");
+const { getVectorStore } = require("../clients/vectorStore");
+const { getKeywordIndexStore } = require("../clients/keywordIndexStore");
+const { submitJob } = require("../jobs");
+const {
+  SUMMARY_STAGES,
+  resolveSummaryOptions,
+  summaryKey,
+  nothingToSummarize,
+  summarizeDocument: runSummary,
+} = require("../jobs/summarizeDocument");
+const { NotFoundError, ValidationError } = require("../errors");
+
+async function findDocument(documentStore, id) {
+  const document = await documentStore.get(id);
+  if (!document) throw new NotFoundError("Document not found");
+  return document;
+}
+
+// Latest versions only, unless ?versions=all
+const listDocuments = async (req, res) => {
+  const documents = await getDocumentStore(req.tenant.id).list();
+  res.status(200).json({
+    documents:
+      req.query.versions === "all"
+        ? documents
+        : documents.filter(isLatestVersion),
+  });
+};
+
+const getDocument = async (req, res) => {
+  const document = await findDocument(
+    getDocumentStore(req.tenant.id),
+    req.params.id
+  );
+  res.status(200).json({ document });
+};
+
+// All versions of the document's series, oldest first
+const listDocumentVersions = async (req, res) => {
+  const documentStore = getDocumentStore(req.tenant.id);
+  const document = await findDocument(documentStore, req.params.id);
+  const versions = await documentStore.listVersions(seriesOf(document));
+  res.status(200).json({ seriesId: seriesOf(document), versions });
+};
+
+// Only the display name and tags can be changed; everything else describes
+// the uploaded file and is fixed at upload time.
+const updateDocument = async (req, res) => {
+  const { name, tags } = req.body || {};
+  const changes = {};
+
+  if (name !== undefined) {
+    if (typeof name !== "string" || !name.trim()) {
+      throw new ValidationError("'name' must be a non-empty string");
+    }
+    changes.name = name.trim();
+  }
+  if (tags !== undefined) {
+    if (!Array.isArray(tags) || !tags.every((tag) => typeof tag === "string")) {
+      throw new ValidationError("'tags' must be an array of strings");
+    }
+    changes.tags = [...new Set(tags.map((tag) => tag.trim()).filter(Boolean))];
+  }
+  if (Object.keys(changes).length === 0) {
+    throw new ValidationError(
+      "Provide a 'name' or 'tags' to update the document"
+    );
+  }
+
+  const document = await getDocumentStore(req.tenant.id).update(req.params.id, {
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  });
+  if (!document) throw new NotFoundError("Document not found");
+  res.status(200).json({ document });
+};
+
+const deleteDocument = async (req, res) => {
+  const documentStore = getDocumentStore(req.tenant.id);
+  const document = await findDocument(documentStore, req.params.id);
+
+  // Remove the vectors first so a failure never leaves searchable content
+  // behind without a registry entry pointing at it
+  await getVectorStore().deleteNamespace(document.namespace);
+  await getKeywordIndexStore().delete(document.namespace);
+  await documentStore.delete(document.id);
+  req.log.info(
+    { documentId: document.id, name: document.name },
+    "Deleted document"
+  );
+
+  // Deleting the current version makes the one before it current again
+  if (isLatestVersion(document)) {
+    const remaining = await documentStore.listVersions(seriesOf(document));
+    const newest = remaining[remaining.length - 1];
+    if (newest && !isLatestVersion(newest)) {
+      await documentStore.update(newest.id, { isLatest: true });
+      req.log.info(
+        { documentId: newest.id, version: versionOf(newest) },
+        "Previous version is now the latest"
+      );
+    }
+  }
+
+  res.status(200).json({ message: "Document deleted", id: document.id });
+};
+
+// Summarizes the whole document in the background. Body: { style, length,
+// refresh }. A summary made earlier with the same style and length is
+// returned right away unless `refresh` is true; otherwise the response
+// carries the job to follow, whose result is the summary.
+const summarizeDocument = async (req, res) => {
+  const body = req.body || {};
+  const options = resolveSummaryOptions(body);
+  const document = await findDocument(
+    getDocumentStore(req.tenant.id),
+    req.params.id
+  );
+
+  const cached = document.summaries && document.summaries[summaryKey(options)];
+  if (cached && body.refresh !== true) {
+    return res.status(200).json({ cached: true, summary: cached });
+  }
+  if (!(await getKeywordIndexStore().get(document.namespace))) {
+    throw nothingToSummarize();
+  }
+
+  const job = await submitJob(
+    {
+      type: "summarization",
+      tenantId: req.tenant.id,
+      stages: SUMMARY_STAGES,
+      input: { documentId: document.id, ...options },
+      log: req.log,
+    },
+    (reporter) =>
+      runSummary(
+        { tenantId: req.tenant.id, documentId: document.id, ...options },
+        reporter
+      )
+  );
+  res.status(202).json({
+    message: "Summary requested.",
+    jobId: job.id,
+    job,
+  });
+};
+
+module.exports = {
+  listDocuments,
+  getDocument,
+  listDocumentVersions,
+  updateDocument,
+  deleteDocument,
+  summarizeDocument,
+};
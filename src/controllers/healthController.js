@@ -0,0 +1,80 @@
+const { getVectorStore } = require("../clients/vectorStore");
+const { pingProvider } = require("../clients/llmClient");
+const { registry } = require("../observability/metrics");
+
+// How long each readiness check may take before it counts as failed
+const READY_CHECK_TIMEOUT_MS = parseInt(
+  process.env.READY_CHECK_TIMEOUT_MS || "5000",
+  10
+);
+
+// Runs `check(signal)` with a deadline. Resolves to { status: "ok", ...,
+// durationMs } or { status: "error", error, durationMs }; never rejects.
+async function runCheck(check) {
+  const startedAt = Date.now();
+  const controller = new AbortController();
+  let timer;
+  const deadline = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`Timed out after ${READY_CHECK_TIMEOUT_MS}ms`));
+    }, READY_CHECK_TIMEOUT_MS);
+  });
+  try {
+    const result = await Promise.race([check(controller.signal), deadline]);
+    return { status: "ok", ...result, durationMs: Date.now() - startedAt };
+  } catch (error) {
+    return {
+      status: "error",
+      error: error.message,
+      durationMs: Date.now() - startedAt,
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Liveness: the process is up and serving requests
+const getHealth = async (req, res) => {
+  res.status(200).json({
+    status: "ok",
+    uptimeSeconds: Math.round(process.uptime()),
+  });
+};
+
+// Readiness: the vector store answers and the LLM provider is reachable.
+// 503 until both are, so load balancers hold traffic back.
+const getReadiness = async (req, res) => {
+  const [vectorStore, llm] = await Promise.all([
+    runCheck(async () => {
+      const store = getVectorStore();
+      const namespaces = await store.listNamespaces();
+      return { backend: store.name, namespaces: namespaces.length };
+    }),
+    runCheck(async (signal) => {
+      const provider = await pingProvider({ signal });
+      return {
+        provider: provider.name,
+        embeddingModel: provider.embeddingModel,
+        generationModel: provider.generationModel,
+      };
+    }),
+  ]);
+
+  const ready = vectorStore.status === "ok" && llm.status === "ok";
+  if (!ready) {
+    req.log.warn({ checks: { vectorStore, llm } }, "Not ready");
+  }
+  res.status(ready ? 200 : 503).json({
+    status: ready ? "ready" : "unavailable",
+    checks: { vectorStore, llm },
+  });
+};
+
+// Prometheus scrape endpoint
+const getMetrics = async (req, res) => {
+  res.set("Content-Type", registry.contentType);
+  res.status(200).send(await registry.metrics());
+};
+
+module.exports = { getHealth, getReadiness, getMetrics };
@@ -0,0 +1,63 @@
+const { getJob, subscribeToJob } = require("../jobs");
+const { getDocumentStore } = require("../clients/documentStore");
+const { openEventStream } = require("../utils/sse");
+const { NotFoundError } = require("../errors");
+
+const FINISHED = ["completed", "failed"];
+
+// Finished ingestion jobs are sent with the document they created
+async function withResult(job) {
+  if (job.status !== "completed" || !job.result || !job.result.documentId) {
+    return { job };
+  }
+  const document = await getDocumentStore(job.tenantId).get(
+    job.result.documentId
+  );
+  return { job, document };
+}
+
+async function findJob(id, tenantId) {
+  const job = await getJob(id, tenantId);
+  if (!job) throw new NotFoundError("Job not found");
+  return job;
+}
+
+const getJobById = async (req, res) => {
+  const job = await findJob(req.params.id, req.tenant.id);
+  res.status(200).json(await withResult(job));
+};
+
+// Follows a job over Server-Sent Events:
+//   progress   { job }            now, and on every change while it runs
+//   completed  { job, document }  once it finished successfully
+//   failed     { job }            once it failed
+// The stream closes after the last event.
+const streamJobEvents = async (req, res) => {
+  const job = await findJob(req.params.id, req.tenant.id);
+
+  const stream = openEventStream(req, res);
+  let finished = false;
+  const send = async (update) => {
+    if (finished) return;
+    if (!FINISHED.includes(update.status)) {
+      stream.send("progress", { job: update });
+      return;
+    }
+    finished = true;
+    unsubscribe();
+    try {
+      stream.send(update.status, await withResult(update));
+    } catch (error) {
+      req.log.error({ err: error }, "Error sending job result");
+      stream.send("failed", { job: update });
+    }
+    stream.close();
+  };
+
+  const unsubscribe = subscribeToJob(job.id, send);
+  stream.signal.addEventListener("abort", unsubscribe);
+  // The job may have moved on between the read above and subscribing
+  send((await getJob(job.id, req.tenant.id)) || job);
+};
+
+module.exports = { getJobById, streamJobEvents };
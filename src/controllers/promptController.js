@@ -0,0 +1,162 @@
+const { getPromptTemplateStore } = require("../clients/promptTemplateStore");
+const {
+  BUILTIN_TEMPLATE,
+  builtinTemplate,
+  resolveTemplateName,
+  resolveTemplateVersion,
+} = require("../prompts");
+const { TEMPLATE_VARIABLES, checkTemplate } = require("../prompts/templates");
+const { ConflictError, NotFoundError, ValidationError } = require("../errors");
+
+function templateNotFound() {
+  return new NotFoundError("Prompt template not found", {
+    code: "PROMPT_TEMPLATE_NOT_FOUND",
+  });
+}
+
+// The built-in template can be read and selected, but not changed
+function resolveStoredName(name) {
+  if (resolveTemplateName(name) === BUILTIN_TEMPLATE) {
+    throw new ValidationError(
+      `'${BUILTIN_TEMPLATE}' is the built-in template and can't be changed`
+    );
+  }
+  return name;
+}
+
+function resolveDescription(description, fallback = "") {
+  if (description === undefined) return fallback;
+  if (typeof description !== "string") {
+    throw new ValidationError("'description' must be a string");
+  }
+  return description.trim();
+}
+
+// The latest version of each template, the built-in one first, with the
+// tenant's default and the variables templates can use
+const listPromptTemplates = async (req, res) => {
+  const store = getPromptTemplateStore(req.tenant.id);
+  res.status(200).json({
+    promptTemplates: [builtinTemplate(), ...(await store.list())],
+    default: await store.getDefault(),
+    variables: TEMPLATE_VARIABLES,
+  });
+};
+
+// Body: { name, description, template }. Creates version 1.
+const createPromptTemplate = async (req, res) => {
+  const { name, description, template } = req.body || {};
+  resolveStoredName(name);
+  checkTemplate(template);
+
+  const store = getPromptTemplateStore(req.tenant.id);
+  if (await store.get(name)) {
+    throw new ConflictError(`Prompt template '${name}' already exists`, {
+      code: "PROMPT_TEMPLATE_EXISTS",
+    });
+  }
+  const promptTemplate = await store.save(name, {
+    description: resolveDescription(description),
+    template,
+  });
+  req.log.info({ name }, "Created prompt template");
+  res.status(201).json({ promptTemplate });
+};
+
+// The latest version, or ?version=n
+const getPromptTemplate = async (req, res) => {
+  const name = resolveTemplateName(req.params.name);
+  const version = resolveTemplateVersion(req.query.version);
+  if (name === BUILTIN_TEMPLATE && (version === null || version === 1)) {
+    return res.status(200).json({ promptTemplate: builtinTemplate() });
+  }
+  const promptTemplate = await getPromptTemplateStore(req.tenant.id).get(
+    name,
+    version
+  );
+  if (!promptTemplate) throw templateNotFound();
+  res.status(200).json({ promptTemplate });
+};
+
+// Oldest first
+const listPromptTemplateVersions = async (req, res) => {
+  const name = resolveTemplateName(req.params.name);
+  const versions = await getPromptTemplateStore(req.tenant.id).listVersions(
+    name
+  );
+  if (versions.length === 0) throw templateNotFound();
+  res.status(200).json({ name, versions });
+};
+
+// Body: { template, description }. Saves a new version; earlier versions
+// stay available. The description carries over when left out.
+const updatePromptTemplate = async (req, res) => {
+  const name = resolveStoredName(req.params.name);
+  const { description, template } = req.body || {};
+  checkTemplate(template);
+
+  const store = getPromptTemplateStore(req.tenant.id);
+  const latest = await store.get(name);
+  if (!latest) throw templateNotFound();
+  const promptTemplate = await store.save(name, {
+    description: resolveDescription(description, latest.description),
+    template,
+  });
+  req.log.info(
+    { name, version: promptTemplate.version },
+    "Saved prompt template version"
+  );
+  res.status(200).json({ promptTemplate });
+};
+
+// Deletes every version; a tenant default pointing at the template is
+// cleared
+const deletePromptTemplate = async (req, res) => {
+  const name = resolveStoredName(req.params.name);
+  const store = getPromptTemplateStore(req.tenant.id);
+  const deleted = await store.delete(name);
+  if (deleted === 0) throw templateNotFound();
+
+  const current = await store.getDefault();
+  if (current && current.name === name) await store.clearDefault();
+  req.log.info({ name, versions: deleted }, "Deleted prompt template");
+  res.status(200).json({ message: "Prompt template deleted", name });
+};
+
+// Body: { version }. Makes the template the tenant's default for queries
+// that don't select one; without a version the default follows the latest.
+const setDefaultPromptTemplate = async (req, res) => {
+  const name = resolveTemplateName(req.params.name);
+  const version = resolveTemplateVersion((req.body || {}).version);
+  const store = getPromptTemplateStore(req.tenant.id);
+  if (name !== BUILTIN_TEMPLATE && !(await store.get(name, version))) {
+    throw templateNotFound();
+  }
+
+  const selection = await store.setDefault({ name, version });
+  req.log.info(selection, "Set default prompt template");
+  res.status(200).json({ default: selection });
+};
+
+// Goes back to the built-in template, if this one is the default
+const clearDefaultPromptTemplate = async (req, res) => {
+  const name = resolveTemplateName(req.params.name);
+  const store = getPromptTemplateStore(req.tenant.id);
+  const current = await store.getDefault();
+  if (!current || current.name !== name) {
+    throw new NotFoundError(`Prompt template '${name}' is not the default`);
+  }
+  await store.clearDefault();
+  res.status(200).json({ default: null });
+};
+
+module.exports = {
+  listPromptTemplates,
+  createPromptTemplate,
+  getPromptTemplate,
+  listPromptTemplateVersions,
+  updatePromptTemplate,
+  deletePromptTemplate,
+  setDefaultPromptTemplate,
+  clearDefaultPromptTemplate,
+};
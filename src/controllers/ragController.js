@@ -1,188 +1,863 @@
-const pdf = require("pdf-parse");
-const { v4: uuidv4 } = require("uuid");
-const { getEmbedding, generateAnswer } = require("../clients/geminiClient");
-const { getPineconeIndex } = require("../clients/pineconeClient");
-
-// Simple text chunking function
-function chunkText(text, chunkSize = 500, overlap = 100) {
-  const chunks = [];
-  let i = 0;
-  while (i < text.length) {
-    const end = i + chunkSize;
-    chunks.push(text.slice(i, end));
-    i += chunkSize - overlap;
-  }
-  return chunks;
+const crypto = require("crypto");
+const {
+  buildAnswerPrompt,
+  structuredAnswerFormat,
+  rewriteQuestion,
+  generateAnswer,
+  generateStructuredAnswer,
+  streamAnswer,
+} = require("../clients/llmClient");
+const { getVectorStore } = require("../clients/vectorStore");
+const {
+  getDocumentStore,
+  listRegisteredNamespaces,
+  isLatestVersion,
+} = require("../clients/documentStore");
+const { resolveChunkingOptions } = require("../chunking");
+const {
+  detectFileType,
+  unsupportedFileType,
+  inspectDocument,
+} = require("../extractors");
+const { openEventStream } = require("../utils/sse");
+const {
+  formatContext,
+  formatComparisonContext,
+  checkCitations,
+} = require("../utils/citations");
+const { getConversationStore } = require("../clients/conversationStore");
+const { resolveSchema } = require("../structured");
+const {
+  resolveRetrievalOptions,
+  retrieveContext,
+  retrieveContextByNamespace,
+  rankNamespaces,
+} = require("../retrieval");
+const { submitJob, getJob } = require("../jobs");
+const { resolveIntent, classifyIntent, getPipeline } = require("../intents");
+const { resolveTemplateSelection, loadPromptTemplate } = require("../prompts");
+const { DEFAULT_TENANT } = require("../utils/tenants");
+const { recordUsage } = require("../usage");
+const {
+  NotFoundError,
+  ValidationError,
+  UnprocessableError,
+  toErrorBody,
+} = require("../errors");
+const { INGESTION_STAGES, ingestDocument } = require("../jobs/ingestDocument");
+const { countTokens } = require("../utils/text");
+const { countError } = require("../observability/metrics");
+
+// Parses the optional comma-separated `tags` upload field
+function parseTags(value) {
+  if (!value) return [];
+  const tags = Array.isArray(value) ? value : String(value).split(",");
+  return [...new Set(tags.map((tag) => String(tag).trim()).filter(Boolean))];
 }
 
-const uploadDocument = async (req, res) => {
-  console.log("Upload request received");
+function matchesFilters(document, filters) {
+  if (
+    filters.fileName &&
+    !document.name.toLowerCase().includes(filters.fileName.toLowerCase()) &&
+    !document.originalName
+      .toLowerCase()
+      .includes(filters.fileName.toLowerCase())
+  ) {
+    return false;
+  }
+  if (filters.tags && filters.tags.length > 0) {
+    const documentTags = document.tags || [];
+    if (!filters.tags.some((tag) => documentTags.includes(tag))) return false;
+  }
+  if (filters.uploadedAfter && document.uploadedAt < filters.uploadedAfter) {
+    return false;
+  }
+  if (filters.uploadedBefore && document.uploadedAt > filters.uploadedBefore) {
+    return false;
+  }
+  return true;
+}
 
-  if (!req.file) {
-    console.error("No file in request");
-    return res.status(400).json({ error: "No file uploaded" });
+// One-off migration aid for deployments whose vector store predates the
+// document registry: with INCLUDE_UNREGISTERED_NAMESPACES=true the default
+// tenant also searches namespaces that have no registry entry. Off by
+// default, since any namespace the registry doesn't know about can't be
+// attributed to a tenant.
+const INCLUDE_UNREGISTERED_NAMESPACES =
+  process.env.INCLUDE_UNREGISTERED_NAMESPACES === "true";
+
+// Vector store namespaces without a registry entry (pending ones included)
+async function unregisteredNamespaces() {
+  const registered = new Set(await listRegisteredNamespaces());
+  const namespaces = await getVectorStore().listNamespaces();
+  return namespaces.filter((namespace) => !registered.has(namespace));
+}
+
+// Works out which of the tenant's namespaces a query may search. Without
+// `documentIds` or `filters` all of the tenant's documents are searched.
+// Superseded versions of a document are skipped unless `allVersions` is set
+// or they are asked for by ID. Resolves to the namespaces.
+async function resolveNamespaces(
+  tenantId,
+  { documentIds, filters, allVersions }
+) {
+  if (documentIds === undefined && filters === undefined) {
+    const documents = await getDocumentStore(tenantId).list();
+    const namespaces = documents
+      .filter((document) => allVersions || isLatestVersion(document))
+      .map((document) => document.namespace);
+    if (INCLUDE_UNREGISTERED_NAMESPACES && tenantId === DEFAULT_TENANT) {
+      namespaces.push(...(await unregisteredNamespaces()));
+    }
+    return namespaces;
   }
 
-  console.log(
-    `Processing file: ${req.file.originalname}, type: ${req.file.mimetype}, size: ${req.file.size} bytes`
-  );
+  if (
+    documentIds !== undefined &&
+    (!Array.isArray(documentIds) ||
+      !documentIds.every((id) => typeof id === "string"))
+  ) {
+    throw new ValidationError("'documentIds' must be an array of document IDs");
+  }
 
-  try {
-    let text;
-    if (req.file.mimetype === "application/pdf") {
-      const fileBuffer = req.file.buffer;
-
-      try {
-        console.log("Parsing PDF file...");
-        const data = await pdf(fileBuffer);
-        text = data.text;
-      } catch (error) {
-        console.error("Error parsing PDF:", error);
-        return res.status(400).json({
-          error:
-            "The uploaded PDF appears to be corrupted or invalid. Please try a different file.",
-        });
-      }
-    } else {
-      try {
-        text = req.file.buffer.toString("utf-8");
-      } catch (error) {
-        console.error("Error parsing file:", error);
-        return res.status(400).json({
-          error: "Error parsing file",
-          details: error.message,
-        });
+  const normalizedFilters = {};
+  if (filters !== undefined) {
+    if (typeof filters !== "object" || filters === null) {
+      throw new ValidationError("'filters' must be an object");
+    }
+    if (filters.fileName) normalizedFilters.fileName = String(filters.fileName);
+    if (filters.tags) normalizedFilters.tags = parseTags(filters.tags);
+    for (const key of ["uploadedAfter", "uploadedBefore"]) {
+      if (!filters[key]) continue;
+      const date = new Date(filters[key]);
+      if (Number.isNaN(date.getTime())) {
+        throw new ValidationError(`'filters.${key}' must be a valid date`);
       }
+      normalizedFilters[key] = date.toISOString();
     }
+  }
 
-    console.log("Successfully extracted text from file.");
-    const chunks = chunkText(text);
-    console.log(`Text split into ${chunks.length} chunks.`);
-    const pineconeIndex = await getPineconeIndex();
-    const namespace = uuidv4();
-
-    console.log("Generating embeddings in parallel...");
-    const embeddingPromises = chunks.map((chunk) => getEmbedding(chunk));
-    const embeddings = await Promise.all(embeddingPromises);
-    console.log("Embeddings generated successfully.");
-
-    const vectors = chunks.map((chunk, i) => ({
-      id: `${req.file.originalname}-chunk-${i}`,
-      values: embeddings[i],
-      metadata: { text: chunk },
-    }));
-
-    console.log("Upserting vectors to Pinecone in a single batch...");
-    await pineconeIndex.namespace(namespace).upsert(vectors);
-    console.log(
-      `${vectors.length} vectors successfully upserted to namespace ${namespace}.`
+  let documents = await getDocumentStore(tenantId).list();
+  if (documentIds !== undefined) {
+    const known = new Set(documents.map((document) => document.id));
+    const missing = documentIds.filter((id) => !known.has(id));
+    if (missing.length > 0) {
+      throw new NotFoundError("Document not found", { details: missing });
+    }
+    documents = documents.filter((document) =>
+      documentIds.includes(document.id)
     );
+  } else if (!allVersions) {
+    documents = documents.filter(isLatestVersion);
+  }
+
+  return documents
+    .filter((document) => matchesFilters(document, normalizedFilters))
+    .map((document) => document.namespace);
+}
+
+// Validates the upload and queues it for ingestion. Processing happens in
+// the background; the response carries the job to follow with
+// GET /jobs/:id or its event stream. Re-uploads of a file that was already
+// processed are answered right away with the existing document, and of one
+// still being processed with its job.
+const uploadDocument = async (req, res) => {
+  if (!req.file) {
+    throw new ValidationError("No file uploaded", { code: "NO_FILE" });
+  }
+
+  req.log.info(
+    {
+      fileName: req.file.originalname,
+      mimetype: req.file.mimetype,
+      size: req.file.size,
+    },
+    "Upload received"
+  );
+  if (req.file.size === 0) {
+    throw new UnprocessableError("The uploaded file is empty", {
+      code: "EMPTY_FILE",
+    });
+  }
+
+  const chunkingOptions = resolveChunkingOptions({
+    strategy: req.body && req.body.chunkingStrategy,
+    chunkSize: req.body && req.body.chunkSize,
+    overlap: req.body && req.body.chunkOverlap,
+  });
+
+  // Detect the type from the file itself; the browser-supplied mimetype
+  // is only a hint and often wrong or generic
+  const fileType = detectFileType(req.file.buffer, req.file.originalname);
+  if (!fileType) throw unsupportedFileType();
 
-    console.log("Document processing complete.");
-    res.status(200).json({
-      message: "Document uploaded and processed successfully.",
-      namespace: namespace,
+  // Turn away files that are broken or over a limit (such as too many PDF
+  // pages) now rather than in the background job
+  await inspectDocument(fileType, req.file.buffer);
+
+  const { buffer, originalname, mimetype, size } = req.file;
+  const tenantId = req.tenant.id;
+  const contentHash = crypto.createHash("sha256").update(buffer).digest("hex");
+
+  // Claimed before anything is awaited, so of two identical uploads only
+  // the first is processed and the second gets its job
+  const claim = `${tenantId}:${contentHash}`;
+  const inFlight = uploadsInFlight.get(claim);
+  const admission =
+    inFlight ||
+    admitUpload(claim, {
+      tenantId,
+      log: req.log,
+      upload: {
+        tenantId,
+        file: { buffer, originalname, mimetype, size },
+        fileType,
+        contentHash,
+        chunkingOptions,
+        tags: parseTags(req.body && req.body.tags),
+      },
     });
-  } catch (error) {
-    console.error("Error processing document:", error);
-    res.status(500).json({
-      error: "Internal server error",
-      message: "Failed to process document",
-      details:
-        process.env.NODE_ENV === "development" ? error.message : undefined,
+  const { document, job } = await admission;
+
+  // The exact same file has been processed before; hand back that document
+  if (document) {
+    req.log.info(
+      { documentId: document.id },
+      "Upload is identical to an existing document"
+    );
+    return res.status(200).json({
+      message: "This file has already been uploaded.",
+      duplicate: true,
+      document,
     });
   }
+
+  if (inFlight) {
+    req.log.info({ jobId: job.id }, "Upload is identical to one in progress");
+    return res.status(202).json({
+      message: "This file is already being processed.",
+      duplicate: true,
+      jobId: job.id,
+      job: (await getJob(job.id, tenantId)) || job,
+    });
+  }
+
+  await recordUsage(tenantId, { uploadedBytes: size });
+  res.status(202).json({
+    message: "Document accepted for processing.",
+    jobId: job.id,
+    job,
+  });
 };
 
-const queryDocuments = async (req, res) => {
-  try {
-    const { question } = req.body;
-    const pineconeIndex = await getPineconeIndex();
-    const questionEmbedding = await getEmbedding(question);
-
-    console.log("Fetching all namespaces to query...");
-    const indexStats = await pineconeIndex.describeIndexStats();
-    const namespaces = Object.keys(indexStats.namespaces);
-
-    if (namespaces.length === 0) {
-      return res.status(200).json({
-        answer:
-          "No documents have been uploaded yet. Please upload a document first.",
-        sources: [],
-      });
-    }
+// Uploads being admitted or processed, by tenant and content hash. Each
+// resolves to { document } when the file was already processed, or to
+// { job } for the ingestion job, and is released once that job has ended.
+const uploadsInFlight = new Map();
 
-    let allMatches = [];
-    for (const namespace of namespaces) {
-      const queryResponse = await pineconeIndex.namespace(namespace).query({
-        vector: questionEmbedding,
-        topK: 12,
-        includeMetadata: true,
-      });
-      allMatches.push(...queryResponse.matches);
-    }
+// Claims `claim` for the upload, then either finds the document it
+// duplicates or submits its ingestion job
+function admitUpload(claim, { tenantId, log, upload }) {
+  const release = () => uploadsInFlight.delete(claim);
+  const admission = (async () => {
+    const existing = await getDocumentStore(tenantId).findByContentHash(
+      upload.contentHash
+    );
+    if (existing) return { document: existing };
 
-    allMatches.sort((a, b) => b.score - a.score);
-    const scoreThreshold = 0.3;
-    let relevantMatches = allMatches.filter(
-      (match) => match.score > scoreThreshold
+    const job = await submitJob(
+      {
+        type: "ingestion",
+        tenantId,
+        stages: INGESTION_STAGES,
+        input: {
+          fileName: upload.file.originalname,
+          fileType: upload.fileType,
+          size: upload.file.size,
+        },
+        log,
+      },
+      (reporter) => ingestDocument(upload, reporter).finally(release)
     );
+    return { job };
+  })();
+
+  uploadsInFlight.set(claim, admission);
+  admission.then(({ document }) => document && release(), release);
+  return admission;
+}
+
+// Most documents set side by side by a comparison; when more are in scope,
+// the ones matching the question best are compared
+const COMPARE_MAX_DOCUMENTS = parseInt(
+  process.env.COMPARE_MAX_DOCUMENTS || "4",
+  10
+);
+
+// How many earlier messages are replayed to the model on follow-ups
+const HISTORY_MESSAGES = parseInt(
+  process.env.CONVERSATION_HISTORY_MESSAGES || "6",
+  10
+);
+
+// Shared by /query and /query/stream: validates the request, loads or starts
+// the conversation, works out the intent, then retrieves the relevant chunks
+// and builds the generation context the intent's pipeline asks for, for
+// `caller` ({ tenantId, log }). Throws on invalid requests. Resolves to one
+// of
+//   { answer, sources }  a canned answer that needs no generation
+//   { userQuery, context, sources }  everything generation needs; the
+//                        context is empty for small talk, and comparisons
+//                        across documents also carry `comparison`
+// Both also carry the caller, the conversation, its recent history, the
+// standalone form of the question, the intent and its instructions, and
+// the prompt template. Previews don't start a conversation; theirs is null
+// when the request doesn't continue one. Nor do they make any model call but
+// embedding the question: follow-ups aren't rewritten, the intent is
+// classified by rules and matches aren't reranked. Their `modelCalls` lists
+// the calls made.
+async function prepareQuery(
+  caller,
+  {
+    question,
+    intent: requestedIntent,
+    promptTemplate,
+    documentIds,
+    filters,
+    allVersions,
+    conversationId,
+    mode,
+    topK,
+    scoreThreshold,
+    tokenBudget,
+    reranker,
+    diversity,
+    neighbors,
+  } = {},
+  { preview = false } = {}
+) {
+  if (typeof question !== "string" || !question.trim()) {
+    throw new ValidationError("A 'question' is required");
+  }
+
+  const forcedIntent = resolveIntent(requestedIntent);
+  const retrievalOverrides = {
+    mode,
+    topK,
+    scoreThreshold,
+    tokenBudget,
+    reranker,
+    diversity,
+    neighbors,
+  };
+  // Checked up front so a bad request fails before any model call
+  resolveRetrievalOptions(retrievalOverrides);
 
-    if (relevantMatches.length === 0 && allMatches.length > 0) {
-      relevantMatches = allMatches.slice(0, 5);
+  const { tenantId, log } = caller;
+  const template = await loadPromptTemplate(
+    tenantId,
+    resolveTemplateSelection(promptTemplate)
+  );
+  const conversationStore = getConversationStore(tenantId);
+  let conversation = null;
+  if (conversationId !== undefined) {
+    conversation = await conversationStore.get(conversationId);
+    if (!conversation) {
+      throw new NotFoundError("Conversation not found");
     }
+  }
+  const history = (conversation ? conversation.messages : [])
+    .slice(-HISTORY_MESSAGES)
+    .map(({ role, content }) => ({ role, content }));
 
-    if (relevantMatches.length === 0) {
-      return res.status(200).json({
-        answer:
-          "I couldn't find any relevant information in the uploaded documents to answer your question.",
-        sources: [],
-      });
+  const intent = forcedIntent
+    ? { name: forcedIntent, confidence: 1, classifier: "request" }
+    : await classifyIntent(question, history, caller, { rulesOnly: preview });
+  const pipeline = getPipeline(intent.name);
+  log.info({ intent }, "Classified the question");
+
+  // Small talk needs no documents
+  const namespaces = pipeline.retrieval
+    ? await resolveNamespaces(tenantId, { documentIds, filters, allVersions })
+    : [];
+
+  if (!conversation && !preview) {
+    conversation = await conversationStore.create({
+      title: question.trim().slice(0, 80),
+    });
+  }
+  const turn = {
+    tenantId,
+    log,
+    conversation,
+    history,
+    question,
+    standaloneQuestion: question,
+    intent,
+    instructions: pipeline.instructions,
+    template,
+    ...(preview && { modelCalls: [] }),
+  };
+
+  if (!pipeline.retrieval) {
+    return { ...turn, userQuery: question, context: "", sources: [] };
+  }
+
+  if (namespaces.length === 0) {
+    const scoped = documentIds !== undefined || filters !== undefined;
+    return {
+      ...turn,
+      answer: scoped
+        ? "None of the uploaded documents match the selected documents or filters."
+        : "No documents have been uploaded yet. Please upload a document first.",
+      sources: [],
+    };
+  }
+
+  if (!preview) {
+    turn.standaloneQuestion = await rewriteQuestion(question, history, caller);
+    if (turn.standaloneQuestion !== question) {
+      log.info(
+        { standaloneQuestion: turn.standaloneQuestion },
+        "Rewrote follow-up question"
+      );
     }
+  }
+  const retrievalOptions = resolveRetrievalOptions(
+    preview ? { ...retrievalOverrides, reranker: "none" } : retrievalOverrides,
+    pipeline.retrieval
+  );
+  // Keyword search is the only retrieval that doesn't embed the question
+  if (preview && retrievalOptions.mode !== "keyword") {
+    turn.modelCalls.push("embedding");
+  }
+  // Comparing within a single document needs no per-document retrieval
+  const retrieved =
+    intent.name === "compare" && namespaces.length > 1
+      ? await retrieveComparison(
+          caller,
+          turn.standaloneQuestion,
+          namespaces,
+          retrievalOptions
+        )
+      : await retrieve(
+          caller,
+          turn.standaloneQuestion,
+          namespaces,
+          retrievalOptions
+        );
+  return {
+    ...turn,
+    ...retrieved,
+    documents: await describeDocuments(tenantId, retrieved.sources),
+  };
+}
+
+const NOTHING_RELEVANT =
+  "I couldn't find any relevant information in the uploaded documents to answer your question.";
 
-    const context = relevantMatches
-      .map((match) => match.metadata.text)
-      .join("\n\n");
-
-    const sources = relevantMatches.map((match) => ({
-      fileName: match.id.substring(0, match.id.lastIndexOf("-chunk-")),
-      text: match.metadata.text,
-      score: match.score,
-    }));
-
-    const summaryKeywords = [
-      "summary",
-      "summarize",
-      "overview",
-      "main idea",
-      "main points",
-      "gist",
-    ];
-    const isSummaryRequest = summaryKeywords.some((k) =>
-      question.toLowerCase().includes(k)
+// Display names by namespace; the registry's name may have been changed
+// since upload
+async function documentNamesOf(tenantId) {
+  const documents = await getDocumentStore(tenantId).list();
+  return new Map(
+    documents.map((document) => [document.namespace, document.name])
+  );
+}
+
+// The `documents` prompt variable: a line of metadata for each document
+// the sources come from, in order of first appearance
+async function describeDocuments(tenantId, sources) {
+  const ids = [...new Set(sources.map((source) => source.documentId))];
+  if (ids.length === 0) return "";
+  const documents = await getDocumentStore(tenantId).list();
+  const byNamespace = new Map(
+    documents.map((document) => [document.namespace, document])
+  );
+  return ids
+    .map((id) => byNamespace.get(id))
+    .filter(Boolean)
+    .map((document) => {
+      const details = [
+        document.fileType,
+        document.pageCount && `${document.pageCount} pages`,
+        document.version > 1 && `version ${document.version}`,
+        `uploaded ${document.uploadedAt.slice(0, 10)}`,
+        document.tags &&
+          document.tags.length > 0 &&
+          `tags: ${document.tags.join(", ")}`,
+      ].filter(Boolean);
+      return `- ${document.name} (${details.join("; ")})`;
+    })
+    .join("\n");
+}
+
+// A retrieved match as the numbered source the answer cites
+function toSource(match, index, documentNames) {
+  return {
+    index,
+    documentId: match.namespace,
+    fileName:
+      documentNames.get(match.namespace) ||
+      match.id.substring(0, match.id.lastIndexOf("-chunk-")),
+    text: match.metadata.text,
+    score: match.score,
+    pageNumber: match.metadata.pageNumber,
+    section: match.metadata.section,
+    retrievers: match.retrievers,
+  };
+}
+
+// Runs the retrieval pipeline over the given namespaces and assembles the
+// context and sources for generation
+async function retrieve(caller, question, namespaces, retrievalOptions) {
+  const { tenantId, log } = caller;
+  const { matches: relevantMatches, tokens } = await retrieveContext(
+    question,
+    namespaces,
+    retrievalOptions,
+    caller
+  );
+
+  if (relevantMatches.length === 0) {
+    return { answer: NOTHING_RELEVANT, sources: [] };
+  }
+
+  const documentNames = await documentNamesOf(tenantId);
+  const sources = relevantMatches.map((match, i) =>
+    toSource(match, i + 1, documentNames)
+  );
+  const context = formatContext(sources);
+  log.info(
+    { sources: sources.length, tokens },
+    "Packed sources into the context"
+  );
+
+  return { userQuery: question, context, sources };
+}
+
+// Comparison questions: retrieves from each document separately and
+// labels the context by document (A, B, ...), so no document is crowded
+// out and the answer can set them side by side. Resolves like retrieve(),
+// plus `comparison.documents`: { label, documentId, fileName, sources }
+// for each compared document, `sources` being the indices of its sources.
+async function retrieveComparison(
+  caller,
+  question,
+  namespaces,
+  retrievalOptions
+) {
+  const { tenantId, log } = caller;
+  const selected =
+    namespaces.length > COMPARE_MAX_DOCUMENTS
+      ? (
+          await rankNamespaces(question, namespaces, retrievalOptions, caller)
+        ).slice(0, COMPARE_MAX_DOCUMENTS)
+      : namespaces;
+  const results = await retrieveContextByNamespace(
+    question,
+    selected,
+    retrievalOptions,
+    caller
+  );
+
+  const documentNames = await documentNamesOf(tenantId);
+  const sources = [];
+  const groups = results.map(({ namespace, matches }, i) => {
+    const documentSources = matches.map((match, j) =>
+      toSource(match, sources.length + j + 1, documentNames)
     );
+    sources.push(...documentSources);
+    return {
+      label: String.fromCharCode(65 + i),
+      documentId: namespace,
+      fileName: documentNames.get(namespace) || namespace,
+      sources: documentSources,
+    };
+  });
+  if (sources.length === 0) {
+    return { answer: NOTHING_RELEVANT, sources: [] };
+  }
 
-    let answer;
-    if (isSummaryRequest) {
-      answer = await generateAnswer(
-        "Summarize the following content:",
-        context
-      );
+  const context = formatComparisonContext(groups);
+  log.info(
+    {
+      documents: groups.length,
+      sources: sources.length,
+      tokens: results.reduce((sum, result) => sum + result.tokens, 0),
+    },
+    "Packed sources of each compared document into the context"
+  );
+
+  return {
+    userQuery: question,
+    context,
+    sources,
+    comparison: {
+      documents: groups.map((group) => ({
+        ...group,
+        sources: group.sources.map((source) => source.index),
+      })),
+    },
+  };
+}
+
+// Marks which compared documents the answer actually cites
+function citedComparison(comparison, citations) {
+  return {
+    documents: comparison.documents.map((document) => ({
+      ...document,
+      cited: document.sources.some((index) => citations.includes(index)),
+    })),
+  };
+}
+
+// What the generation calls need from a prepared query: the history, the
+// intent's instructions, the prompt template and its variables, and the
+// caller
+function generationOptions(prepared) {
+  return {
+    history: prepared.history,
+    instructions: prepared.instructions,
+    template: prepared.template.template,
+    documents: prepared.documents,
+    intent: prepared.intent.name,
+    tenantId: prepared.tenantId,
+    log: prepared.log,
+  };
+}
+
+// Which version of which template a prompt was rendered from
+const templateRef = ({ name, version }) => ({ name, version });
+
+// Appends the question and its answer to the conversation
+async function recordTurn(prepared, answer, sources, structured = null) {
+  const now = new Date().toISOString();
+  const userMessage = {
+    role: "user",
+    content: prepared.question,
+    createdAt: now,
+  };
+  if (prepared.standaloneQuestion !== prepared.question) {
+    userMessage.standaloneQuestion = prepared.standaloneQuestion;
+  }
+  await getConversationStore(prepared.tenantId).appendMessages(
+    prepared.conversation.id,
+    [
+      userMessage,
+      {
+        role: "assistant",
+        content: answer,
+        sources,
+        intent: prepared.intent.name,
+        promptTemplate: templateRef(prepared.template),
+        ...(structured && { structured }),
+        createdAt: now,
+      },
+    ]
+  );
+}
+
+// Validates the optional `format` and `schema` fields of /query. Resolves
+// to { schema }, null for plain text answers.
+function resolveAnswerFormat({ format = "text", schema } = {}) {
+  if (format !== "text" && format !== "structured") {
+    throw new ValidationError(
+      '\'format\' must be either "text" or "structured"'
+    );
+  }
+  if (format === "text") return { schema: null };
+
+  try {
+    return { schema: resolveSchema(schema) };
+  } catch (error) {
+    throw new ValidationError("Invalid schema", {
+      code: "INVALID_SCHEMA",
+      details: error.message,
+    });
+  }
+}
+
+const queryDocuments = async (req, res) => {
+  const answerFormat = resolveAnswerFormat(req.body);
+  const prepared = await prepareQuery(
+    { tenantId: req.tenant.id, log: req.log },
+    req.body
+  );
+  const { conversation, sources } = prepared;
+
+  let generated = prepared.answer;
+  let structured = null;
+  if (!generated && answerFormat.schema) {
+    structured = await generateStructuredAnswer(
+      prepared.userQuery,
+      prepared.context,
+      { ...generationOptions(prepared), schema: answerFormat.schema }
+    );
+    generated =
+      typeof structured.data.answer === "string"
+        ? structured.data.answer
+        : JSON.stringify(structured.data);
+  } else if (!generated) {
+    generated = await generateAnswer(
+      prepared.userQuery,
+      prepared.context,
+      generationOptions(prepared)
+    );
+  }
+
+  const { answer, citations, invalidCitations } = checkCitations(
+    generated,
+    sources.length
+  );
+  if (invalidCitations.length > 0) {
+    req.log.warn({ invalidCitations }, "Removed invalid citations");
+  }
+
+  const response = {
+    answer,
+    sources,
+    citations,
+    invalidCitations,
+    conversationId: conversation.id,
+    intent: prepared.intent,
+    promptTemplate: templateRef(prepared.template),
+  };
+  if (prepared.comparison) {
+    response.comparison = citedComparison(prepared.comparison, citations);
+  }
+  if (answerFormat.schema) {
+    // Canned answers (nothing uploaded, nothing relevant) have no
+    // structured form. The structured answer carries the same
+    // citation-checked text as `answer`.
+    response.structured = structured && {
+      ...structured.data,
+      ...(typeof structured.data.answer === "string" && { answer }),
+    };
+    response.schema = answerFormat.schema.name;
+    response.attempts = structured ? structured.attempts : 0;
+  }
+  await recordTurn(prepared, answer, sources, response.structured);
+
+  res.status(200).json(response);
+};
+
+// Same as /query, but answers over Server-Sent Events:
+//   sources  { sources, conversationId, intent, promptTemplate,
+//            comparison? }
+//                                      once retrieval is done
+//   token    { text }                  for each piece of the answer
+//   done     { answer, timing, usage, citations, invalidCitations,
+//            comparison? }             when the answer is complete. `answer`
+//                                      is the full text with invalid citation
+//                                      markers removed, replacing the tokens
+//   error    { error, code, requestId } if anything fails after streaming
+//                                      began, in the usual error format
+// Errors before streaming begins are ordinary JSON error responses.
+const streamQuery = async (req, res) => {
+  const startedAt = Date.now();
+  if (req.body && req.body.format === "structured") {
+    throw new ValidationError(
+      "Structured answers are not streamed; use POST /query instead"
+    );
+  }
+
+  const prepared = await prepareQuery(
+    { tenantId: req.tenant.id, log: req.log },
+    req.body
+  );
+
+  const retrievalMs = Date.now() - startedAt;
+  const stream = openEventStream(req, res);
+  stream.send("sources", {
+    sources: prepared.sources,
+    conversationId: prepared.conversation.id,
+    intent: prepared.intent,
+    promptTemplate: templateRef(prepared.template),
+    ...(prepared.comparison && { comparison: prepared.comparison }),
+  });
+
+  try {
+    let usage = null;
+    let answer = "";
+    if (prepared.answer) {
+      answer = prepared.answer;
+      stream.send("token", { text: answer });
     } else {
-      answer = await generateAnswer(question, context);
+      for await (const event of streamAnswer(
+        prepared.userQuery,
+        prepared.context,
+        { ...generationOptions(prepared), signal: stream.signal }
+      )) {
+        if (event.usage) {
+          usage = event.usage;
+        } else {
+          answer += event.text;
+          stream.send("token", { text: event.text });
+        }
+      }
     }
 
-    res.status(200).json({ answer, sources });
-  } catch (error) {
-    console.error("Error querying documents:", error);
-    res.status(500).json({
-      error: "Internal server error",
-      message: "Failed to query documents",
-      details:
-        process.env.NODE_ENV === "development" ? error.message : undefined,
+    if (stream.signal.aborted) {
+      req.log.info("Client cancelled the streamed answer");
+      return;
+    }
+    const checked = checkCitations(answer, prepared.sources.length);
+    await recordTurn(prepared, checked.answer, prepared.sources);
+    const totalMs = Date.now() - startedAt;
+    stream.send("done", {
+      answer: checked.answer,
+      timing: { retrievalMs, generationMs: totalMs - retrievalMs, totalMs },
+      usage,
+      citations: checked.citations,
+      invalidCitations: checked.invalidCitations,
+      ...(prepared.comparison && {
+        comparison: citedComparison(prepared.comparison, checked.citations),
+      }),
     });
+  } catch (error) {
+    req.log.error({ err: error }, "Error streaming answer");
+    const body = toErrorBody(error, req.id);
+    countError("stream", body.code);
+    stream.send("error", body);
+  } finally {
+    stream.close();
   }
 };
 
-// ✅ Export both functions properly
-module.exports = { uploadDocument, queryDocuments };
+// Takes the same body as /query and renders the prompt the answer would be
+// generated from, without generating it. Retrieval runs as it would for the
+// query, but without the model calls prepareQuery() leaves out of previews,
+// so a follow-up or a reranked query may retrieve other sources; no
+// conversation is started or continued. `prompt` is null when the query
+// would get a canned answer, which is returned instead.
+const previewQuery = async (req, res) => {
+  const answerFormat = resolveAnswerFormat(req.body);
+  const prepared = await prepareQuery(
+    { tenantId: req.tenant.id, log: req.log },
+    req.body,
+    { preview: true }
+  );
+
+  const prompt = prepared.answer
+    ? null
+    : buildAnswerPrompt(prepared.userQuery, prepared.context, {
+        ...generationOptions(prepared),
+        ...(answerFormat.schema && {
+          answerFormat: structuredAnswerFormat(answerFormat.schema),
+        }),
+      });
+  res.status(200).json({
+    prompt,
+    promptTokens: prompt ? countTokens(prompt) : 0,
+    ...(prepared.answer && { answer: prepared.answer }),
+    promptTemplate: templateRef(prepared.template),
+    intent: prepared.intent,
+    standaloneQuestion: prepared.standaloneQuestion,
+    sources: prepared.sources,
+    ...(prepared.comparison && { comparison: prepared.comparison }),
+    modelCalls: prepared.modelCalls,
+  });
+};
+
+module.exports = { uploadDocument, queryDocuments, streamQuery, previewQuery };
@@ -0,0 +1,8 @@
+const { getEmbeddingStats } = require("../clients/llmClient");
+
+// Counters kept by the server since it started
+const getStats = async (req, res) => {
+  res.status(200).json({ embeddings: getEmbeddingStats() });
+};
+
+module.exports = { getStats };
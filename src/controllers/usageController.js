@@ -0,0 +1,27 @@
+const { getUsageReport } = require("../usage");
+const { ForbiddenError, ValidationError } = require("../errors");
+
+const MAX_DAYS = 90;
+
+// The caller's usage today against its quotas, with the daily history.
+// The ADMIN_API_KEY can look at another tenant with ?tenantId=.
+const getUsage = async (req, res) => {
+  const days = req.query.days === undefined ? 7 : Number(req.query.days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+    throw new ValidationError(
+      `'days' must be an integer from 1 to ${MAX_DAYS}`
+    );
+  }
+
+  let tenantId = req.tenant.id;
+  if (req.query.tenantId && req.query.tenantId !== tenantId) {
+    if (!req.tenant.bootstrapAdmin) {
+      throw new ForbiddenError("Only the admin API key can see other tenants");
+    }
+    tenantId = String(req.query.tenantId);
+  }
+
+  res.status(200).json(await getUsageReport(tenantId, { days }));
+};
+
+module.exports = { getUsage };
@@ -0,0 +1,129 @@
+// Errors with an HTTP status and a stable, machine-readable `code`. Their
+// messages are written for the API's users and are always safe to show;
+// anything else that reaches the error handler is answered as a generic
+// INTERNAL_ERROR. Every error response has the same shape:
+//   { error, code, details?, requestId }
+// where `error` is the message.
+class AppError extends Error {
+  constructor(
+    message,
+    { status = 500, code = "INTERNAL_ERROR", details } = {}
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    if (details !== undefined) this.details = details;
+    // Job runners and stream handlers show exposed messages to the client
+    this.expose = true;
+  }
+}
+
+// The request itself is wrong: missing or invalid fields and parameters
+class ValidationError extends AppError {
+  constructor(message, { code = "VALIDATION_ERROR", details } = {}) {
+    super(message, { status: 400, code, details });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message, { code = "UNAUTHORIZED", details } = {}) {
+    super(message, { status: 401, code, details });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message, { code = "FORBIDDEN", details } = {}) {
+    super(message, { status: 403, code, details });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, { code = "NOT_FOUND", details } = {}) {
+    super(message, { status: 404, code, details });
+  }
+}
+
+// The request clashes with what already exists, such as a name in use
+class ConflictError extends AppError {
+  constructor(message, { code = "CONFLICT", details } = {}) {
+    super(message, { status: 409, code, details });
+  }
+}
+
+class PayloadTooLargeError extends AppError {
+  constructor(message, { code = "PAYLOAD_TOO_LARGE", details } = {}) {
+    super(message, { status: 413, code, details });
+  }
+}
+
+class UnsupportedMediaTypeError extends AppError {
+  constructor(message, { code = "UNSUPPORTED_MEDIA_TYPE", details } = {}) {
+    super(message, { status: 415, code, details });
+  }
+}
+
+// A well-formed request for something that can't be done, such as
+// processing a corrupt file
+class UnprocessableError extends AppError {
+  constructor(message, { code = "UNPROCESSABLE", details } = {}) {
+    super(message, { status: 422, code, details });
+  }
+}
+
+// Over a rate limit or quota. `retryAfterSeconds` becomes the Retry-After
+// header.
+class RateLimitedError extends AppError {
+  constructor(message, { code = "RATE_LIMITED", details, retryAfterSeconds }) {
+    super(message, { status: 429, code, details });
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+// An LLM, embedding or reranking provider failed or returned something
+// unusable
+class UpstreamError extends AppError {
+  constructor(message, { code = "UPSTREAM_ERROR", details, provider } = {}) {
+    super(message, { status: 502, code, details });
+    if (provider) this.provider = provider;
+  }
+}
+
+// The response body for `error`, which may be any thrown value
+function toErrorBody(error, requestId) {
+  if (error instanceof AppError) {
+    return {
+      error: error.message,
+      code: error.code,
+      ...(error.details !== undefined && { details: error.details }),
+      ...(error.retryAfterSeconds !== undefined && {
+        retryAfterSeconds: error.retryAfterSeconds,
+      }),
+      requestId,
+    };
+  }
+  return {
+    error: "Internal server error",
+    code: "INTERNAL_ERROR",
+    details:
+      process.env.NODE_ENV === "development" && error
+        ? error.message
+        : undefined,
+    requestId,
+  };
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+  UnprocessableError,
+  RateLimitedError,
+  UpstreamError,
+  toErrorBody,
+};
@@ -0,0 +1,139 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// A golden dataset is a directory holding a dataset.json such as
+//   {
+//     "name": "contracts",
+//     "documents": [{ "id": "msa", "file": "documents/msa.pdf" }],
+//     "chunking": { "strategy": "recursive", "chunkSize": 800, "overlap": 100 },
+//     "query": { "topK": 8 },
+//     "questions": [{
+//       "id": "payment-term",
+//       "question": "When is payment due?",
+//       "expectedAnswer": "Within thirty days of the invoice date.",
+//       "expectedSources": [{ "document": "msa", "text": "Payment is due ..." }],
+//       "documents": ["msa"]
+//     }],
+//     "thresholds": { "recallAt5": 0.8 }
+//   }
+// Document files are relative to the directory. `chunking` is sent with
+// every upload and `query` with every question; a question's `documents`
+// limits its search to those documents. `expectedAnswer` may list several
+// acceptable answers. `thresholds` are the lowest acceptable values of
+// summary metrics.
+
+class DatasetError extends Error {}
+
+const isObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+const isText = (value) => typeof value === "string" && value.trim() !== "";
+
+function checkDocuments(documents) {
+  if (!Array.isArray(documents) || documents.length === 0) {
+    throw new DatasetError("'documents' must be a non-empty array");
+  }
+  const ids = new Set();
+  for (const [i, document] of documents.entries()) {
+    if (!isObject(document) || !isText(document.id) || !isText(document.file)) {
+      throw new DatasetError(`documents[${i}] needs an 'id' and a 'file'`);
+    }
+    if (ids.has(document.id)) {
+      throw new DatasetError(`Duplicate document id '${document.id}'`);
+    }
+    ids.add(document.id);
+  }
+  return ids;
+}
+
+function checkQuestion(question, i, documentIds) {
+  const where = `questions[${i}]${question && question.id ? ` (${question.id})` : ""}`;
+  if (
+    !isObject(question) ||
+    !isText(question.id) ||
+    !isText(question.question)
+  ) {
+    throw new DatasetError(`${where} needs an 'id' and a 'question'`);
+  }
+  const answers = [].concat(question.expectedAnswer ?? []);
+  if (answers.length === 0 || !answers.every(isText)) {
+    throw new DatasetError(
+      `${where}: 'expectedAnswer' must be a string or an array of strings`
+    );
+  }
+  if (!Array.isArray(question.expectedSources)) {
+    throw new DatasetError(`${where}: 'expectedSources' must be an array`);
+  }
+  for (const source of question.expectedSources) {
+    if (!isObject(source) || !isText(source.text)) {
+      throw new DatasetError(
+        `${where}: every expected source needs the passage 'text'`
+      );
+    }
+    if (!documentIds.has(source.document)) {
+      throw new DatasetError(
+        `${where}: expected source refers to unknown document '${source.document}'`
+      );
+    }
+  }
+  for (const id of question.documents || []) {
+    if (!documentIds.has(id)) {
+      throw new DatasetError(`${where}: unknown document '${id}'`);
+    }
+  }
+}
+
+// Reads and checks the dataset in `directory` (or the dataset.json file
+// itself). Throws a DatasetError describing the first problem found.
+async function loadDataset(location) {
+  const file = location.endsWith(".json")
+    ? location
+    : path.join(location, "dataset.json");
+  const directory = path.dirname(file);
+
+  let dataset;
+  try {
+    dataset = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (error) {
+    throw new DatasetError(`Can't read ${file}: ${error.message}`);
+  }
+  if (!isObject(dataset)) {
+    throw new DatasetError(`${file} must contain a JSON object`);
+  }
+
+  const documentIds = checkDocuments(dataset.documents);
+  if (!Array.isArray(dataset.questions) || dataset.questions.length === 0) {
+    throw new DatasetError("'questions' must be a non-empty array");
+  }
+  const questionIds = new Set();
+  dataset.questions.forEach((question, i) => {
+    checkQuestion(question, i, documentIds);
+    if (questionIds.has(question.id)) {
+      throw new DatasetError(`Duplicate question id '${question.id}'`);
+    }
+    questionIds.add(question.id);
+  });
+  for (const key of ["chunking", "query", "thresholds"]) {
+    if (dataset[key] !== undefined && !isObject(dataset[key])) {
+      throw new DatasetError(`'${key}' must be an object`);
+    }
+  }
+
+  return {
+    name: dataset.name || path.basename(directory),
+    description: dataset.description || "",
+    chunking: dataset.chunking || {},
+    query: dataset.query || {},
+    thresholds: dataset.thresholds || {},
+    documents: dataset.documents.map((document) => ({
+      ...document,
+      path: path.resolve(directory, document.file),
+    })),
+    questions: dataset.questions.map((question) => ({
+      ...question,
+      expectedAnswers: [].concat(question.expectedAnswer),
+    })),
+  };
+}
+
+module.exports = { DatasetError, loadDataset };
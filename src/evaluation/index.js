@@ -0,0 +1,186 @@
+const fs = require("fs/promises");
+const path = require("path");
+const {
+  scoreRetrieval,
+  scoreAnswer,
+  scoreCitations,
+  summarize,
+} = require("./metrics");
+
+const JOB_POLL_MS = 100;
+const JOB_TIMEOUT_MS = parseInt(
+  process.env.EVAL_JOB_TIMEOUT_MS || "120000",
+  10
+);
+
+// Calls the API at `baseUrl`; resolves to the parsed JSON body and throws
+// with the error body's message on failure
+async function callApi(baseUrl, method, route, body) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    ...(body instanceof FormData
+      ? { body }
+      : body && {
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(body),
+        }),
+  });
+  const json = await response.json();
+  if (!response.ok) {
+    throw new Error(`${method} ${route} failed: ${json.code}: ${json.error}`);
+  }
+  return json;
+}
+
+// Uploads a dataset document and waits for its ingestion job. Resolves to
+// the uploaded document's id.
+async function uploadDocument(baseUrl, document, chunking) {
+  const form = new FormData();
+  const buffer = await fs.readFile(document.path);
+  form.append("file", new Blob([buffer]), path.basename(document.path));
+  if (chunking.strategy) form.append("chunkingStrategy", chunking.strategy);
+  if (chunking.chunkSize) form.append("chunkSize", String(chunking.chunkSize));
+  if (chunking.overlap !== undefined) {
+    form.append("chunkOverlap", String(chunking.overlap));
+  }
+
+  const upload = await callApi(baseUrl, "POST", "/upload", form);
+  // Datasets may reuse a file; the API hands back the first upload, or its
+  // job while that is still running
+  if (upload.duplicate && upload.document) return upload.document.id;
+
+  const deadline = Date.now() + JOB_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const { job, document: created } = await callApi(
+      baseUrl,
+      "GET",
+      `/jobs/${upload.jobId}`
+    );
+    if (job.status === "completed") return created.id;
+    if (job.status === "failed") {
+      throw new Error(
+        `Ingesting ${document.file} failed: ${job.error && job.error.message}`
+      );
+    }
+    await new Promise((resolve) => setTimeout(resolve, JOB_POLL_MS));
+  }
+  throw new Error(`Ingesting ${document.file} timed out`);
+}
+
+// Asks one question and scores the answer
+async function evaluateQuestion(baseUrl, question, { query, namespaces, ks }) {
+  const body = {
+    ...query,
+    question: question.question,
+    ...(question.intent && { intent: question.intent }),
+    ...(question.documents && {
+      documentIds: question.documents.map((id) => namespaces.get(id)),
+    }),
+  };
+  const startedAt = Date.now();
+  let response;
+  try {
+    response = await callApi(baseUrl, "POST", "/query", body);
+  } catch (error) {
+    return {
+      id: question.id,
+      question: question.question,
+      error: error.message,
+    };
+  }
+  const latencyMs = Date.now() - startedAt;
+
+  const retrieval = scoreRetrieval(question, response.sources, namespaces, ks);
+  return {
+    id: question.id,
+    question: question.question,
+    expectedAnswers: question.expectedAnswers,
+    answer: response.answer,
+    intent: response.intent && response.intent.name,
+    latencyMs,
+    retrieval,
+    answerMatch: scoreAnswer(question, response.answer),
+    citations: scoreCitations(question, response, retrieval.relevantSources),
+    sources: response.sources.map((source) => ({
+      index: source.index,
+      fileName: source.fileName,
+      score: source.score,
+      text: source.text,
+    })),
+  };
+}
+
+// Compares the summary with the dataset's thresholds
+function checkThresholds(summary, thresholds) {
+  return Object.entries(thresholds).map(([metric, minimum]) => ({
+    metric,
+    minimum,
+    actual: summary[metric] ?? null,
+    passed: summary[metric] !== undefined && summary[metric] >= minimum,
+  }));
+}
+
+// Runs a loaded dataset (see ./dataset) through the API at `baseUrl`:
+// uploads its documents, asks every question and scores the answers.
+// `chunking` and `query` override the dataset's settings; `ks` are the
+// cutoffs recall is reported at. `onProgress(message)` hears about each
+// step. Resolves to the report.
+async function runEvaluation(
+  dataset,
+  {
+    baseUrl,
+    provider,
+    ks = [1, 3, 5],
+    chunking = {},
+    query = {},
+    onProgress = () => {},
+  }
+) {
+  const startedAt = new Date();
+  const settings = {
+    provider,
+    ks,
+    chunking: { ...dataset.chunking, ...chunking },
+    query: { ...dataset.query, ...query },
+  };
+
+  const namespaces = new Map();
+  for (const document of dataset.documents) {
+    onProgress(`Uploading ${document.file}`);
+    namespaces.set(
+      document.id,
+      await uploadDocument(baseUrl, document, settings.chunking)
+    );
+  }
+
+  const results = [];
+  for (const question of dataset.questions) {
+    onProgress(`Asking ${question.id}`);
+    const result = await evaluateQuestion(baseUrl, question, {
+      query: settings.query,
+      namespaces,
+      ks,
+    });
+    results.push(result);
+  }
+
+  const summary = summarize(results, ks);
+  const thresholds = checkThresholds(summary, dataset.thresholds);
+  return {
+    dataset: {
+      name: dataset.name,
+      description: dataset.description,
+      documents: dataset.documents.length,
+      questions: dataset.questions.length,
+    },
+    settings,
+    startedAt: startedAt.toISOString(),
+    durationMs: Date.now() - startedAt.getTime(),
+    summary,
+    thresholds,
+    passed: summary.failed === 0 && thresholds.every((check) => check.passed),
+    questions: results,
+  };
+}
+
+module.exports = { runEvaluation };
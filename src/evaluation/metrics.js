@@ -0,0 +1,183 @@
+// Scoring of one evaluated question. Retrieved sources are in rank order
+// (best first), as /query returns them.
+
+// Share of an expected passage's words a source must contain to count as
+// retrieving it; chunk boundaries can cut a passage short
+const PASSAGE_MATCH_COVERAGE = 0.8;
+
+// Share of an expected answer's words a generated answer must contain to
+// count as a fuzzy match
+const FUZZY_MATCH_RECALL = 0.8;
+
+// Lowercase words without punctuation or articles, so "The laws of
+// Ireland." and "laws of ireland" compare equal
+function normalizeWords(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, "")
+    .split(/\s+/)
+    .filter((word) => word && !["a", "an", "the"].includes(word));
+}
+
+// Share of `expected`'s words (with repeats) that also occur in `actual`
+function wordRecall(expected, actual) {
+  const expectedWords = normalizeWords(expected);
+  if (expectedWords.length === 0) return 0;
+  const counts = new Map();
+  for (const word of normalizeWords(actual)) {
+    counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  let shared = 0;
+  for (const word of expectedWords) {
+    if (counts.get(word) > 0) {
+      counts.set(word, counts.get(word) - 1);
+      shared++;
+    }
+  }
+  return shared / expectedWords.length;
+}
+
+// Token F1 between the answer and an expected answer
+function f1Score(expected, actual) {
+  const precisionBase = normalizeWords(actual).length;
+  const recallBase = normalizeWords(expected).length;
+  if (precisionBase === 0 || recallBase === 0) return 0;
+  const shared = wordRecall(expected, actual) * recallBase;
+  if (shared === 0) return 0;
+  const precision = shared / precisionBase;
+  const recall = shared / recallBase;
+  return (2 * precision * recall) / (precision + recall);
+}
+
+// Whether `source` retrieved the expected passage; `namespaces` maps the
+// dataset's document ids to the uploaded documents' ids
+function retrieves(source, expected, namespaces) {
+  return (
+    source.documentId === namespaces.get(expected.document) &&
+    wordRecall(expected.text, source.text) >= PASSAGE_MATCH_COVERAGE
+  );
+}
+
+// recall@k for each k, the reciprocal rank of the first relevant source and
+// the indices of the sources that are relevant. Null metrics for questions
+// without expected sources.
+function scoreRetrieval(question, sources, namespaces, ks) {
+  const expected = question.expectedSources;
+  const relevant = sources
+    .filter((source) =>
+      expected.some((passage) => retrieves(source, passage, namespaces))
+    )
+    .map((source) => source.index);
+  if (expected.length === 0) {
+    return { recallAt: null, reciprocalRank: null, relevantSources: relevant };
+  }
+
+  // Rank (1-based) of the first source retrieving each expected passage
+  const ranks = expected.map((passage) => {
+    const rank = sources.findIndex((source) =>
+      retrieves(source, passage, namespaces)
+    );
+    return rank === -1 ? null : rank + 1;
+  });
+  const found = ranks.filter((rank) => rank !== null);
+  return {
+    recallAt: Object.fromEntries(
+      ks.map((k) => [
+        k,
+        found.filter((rank) => rank <= k).length / expected.length,
+      ])
+    ),
+    reciprocalRank: found.length > 0 ? 1 / Math.min(...found) : 0,
+    relevantSources: relevant,
+    ranks,
+  };
+}
+
+// Exact and fuzzy match and F1 against the closest expected answer
+function scoreAnswer(question, answer) {
+  const normalized = normalizeWords(answer).join(" ");
+  return {
+    exactMatch: question.expectedAnswers.some(
+      (expected) => normalizeWords(expected).join(" ") === normalized
+    ),
+    fuzzyMatch: question.expectedAnswers.some(
+      (expected) => wordRecall(expected, answer) >= FUZZY_MATCH_RECALL
+    ),
+    f1: Math.max(
+      ...question.expectedAnswers.map((expected) => f1Score(expected, answer))
+    ),
+  };
+}
+
+// Citation precision: the share of the answer's citations pointing at a
+// relevant source (null when it cites nothing), and whether it cites at
+// least one relevant source
+function scoreCitations(question, { citations, invalidCitations }, relevant) {
+  const correct = citations.filter((index) => relevant.includes(index));
+  return {
+    citations,
+    invalidCitations,
+    citationPrecision:
+      citations.length > 0 ? correct.length / citations.length : null,
+    citesRelevantSource:
+      question.expectedSources.length > 0 ? correct.length > 0 : null,
+  };
+}
+
+const mean = (values) => {
+  const present = values.filter((value) => value !== null);
+  return present.length > 0
+    ? present.reduce((sum, value) => sum + value, 0) / present.length
+    : null;
+};
+
+// Averages over all questions. Questions a metric doesn't apply to (no
+// expected sources, no citations) are left out of its average.
+function summarize(results, ks) {
+  const scored = results.filter((result) => !result.error);
+  return {
+    questions: results.length,
+    failed: results.length - scored.length,
+    ...Object.fromEntries(
+      ks.map((k) => [
+        `recallAt${k}`,
+        mean(
+          scored.map((result) =>
+            result.retrieval.recallAt ? result.retrieval.recallAt[k] : null
+          )
+        ),
+      ])
+    ),
+    mrr: mean(scored.map((result) => result.retrieval.reciprocalRank)),
+    exactMatch: mean(
+      scored.map((result) => Number(result.answerMatch.exactMatch))
+    ),
+    fuzzyMatch: mean(
+      scored.map((result) => Number(result.answerMatch.fuzzyMatch))
+    ),
+    f1: mean(scored.map((result) => result.answerMatch.f1)),
+    citationPrecision: mean(
+      scored.map((result) => result.citations.citationPrecision)
+    ),
+    citationRecall: mean(
+      scored.map((result) =>
+        result.citations.citesRelevantSource === null
+          ? null
+          : Number(result.citations.citesRelevantSource)
+      )
+    ),
+    invalidCitations: scored.reduce(
+      (sum, result) => sum + result.citations.invalidCitations.length,
+      0
+    ),
+    meanLatencyMs: mean(scored.map((result) => result.latencyMs)),
+  };
+}
+
+module.exports = {
+  normalizeWords,
+  scoreRetrieval,
+  scoreAnswer,
+  scoreCitations,
+  summarize,
+};
@@ -0,0 +1,154 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(
+    /[&<>"']/g,
+    (character) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      })[character]
+  );
+
+// Ratios as percentages, other numbers rounded; missing values as "–"
+function formatMetric(name, value) {
+  if (value === null || value === undefined) return "–";
+  if (
+    name === "questions" ||
+    name === "failed" ||
+    name === "invalidCitations"
+  ) {
+    return String(value);
+  }
+  if (name === "meanLatencyMs") return `${Math.round(value)} ms`;
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+const yesNo = (value) => (value === null ? "–" : value ? "yes" : "no");
+
+function questionRow(result, ks) {
+  if (result.error) {
+    return `<tr class="failed"><td>${escapeHtml(result.id)}</td><td colspan="${
+      ks.length + 6
+    }">${escapeHtml(result.error)}</td></tr>`;
+  }
+  const { retrieval, answerMatch, citations } = result;
+  const recall = ks.map(
+    (k) =>
+      `<td>${formatMetric("recall", retrieval.recallAt && retrieval.recallAt[k])}</td>`
+  );
+  const sources = result.sources
+    .map(
+      (source) =>
+        `<li${
+          retrieval.relevantSources.includes(source.index)
+            ? ' class="relevant"'
+            : ""
+        }>[${source.index}] ${escapeHtml(source.fileName)}: ${escapeHtml(
+          source.text.slice(0, 200)
+        )}</li>`
+    )
+    .join("");
+  return `<tr>
+  <td>${escapeHtml(result.id)}</td>
+  ${recall.join("")}
+  <td>${formatMetric("mrr", retrieval.reciprocalRank)}</td>
+  <td>${yesNo(answerMatch.exactMatch)}</td>
+  <td>${yesNo(answerMatch.fuzzyMatch)}</td>
+  <td>${formatMetric("f1", answerMatch.f1)}</td>
+  <td>${formatMetric("citationPrecision", citations.citationPrecision)}</td>
+  <td>${yesNo(citations.citesRelevantSource)}</td>
+</tr>
+<tr class="detail"><td colspan="${ks.length + 7}">
+  <p><strong>Question:</strong> ${escapeHtml(result.question)}</p>
+  <p><strong>Expected:</strong> ${result.expectedAnswers
+    .map(escapeHtml)
+    .join(" <em>or</em> ")}</p>
+  <p><strong>Answer:</strong> ${escapeHtml(result.answer)}</p>
+  <details><summary>${result.sources.length} sources</summary><ol>${sources}</ol></details>
+</td></tr>`;
+}
+
+// A self-contained HTML page of the report
+function renderHtml(report) {
+  const { ks } = report.settings;
+  const summary = Object.entries(report.summary)
+    .map(
+      ([name, value]) =>
+        `<tr><th>${escapeHtml(name)}</th><td>${formatMetric(name, value)}</td></tr>`
+    )
+    .join("");
+  const thresholds = report.thresholds
+    .map(
+      (check) =>
+        `<tr class="${check.passed ? "passed" : "failed"}"><th>${escapeHtml(
+          check.metric
+        )}</th><td>${formatMetric(check.metric, check.actual)}</td><td>≥ ${formatMetric(
+          check.metric,
+          check.minimum
+        )}</td></tr>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Evaluation: ${escapeHtml(report.dataset.name)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+  table { border-collapse: collapse; margin-bottom: 1.5rem; }
+  th, td { border: 1px solid #ddd; padding: 0.3rem 0.6rem; text-align: left; vertical-align: top; }
+  tr.detail td { background: #fafafa; font-size: 0.9em; }
+  .passed { background: #e6f4ea; }
+  .failed { background: #fce8e6; }
+  li.relevant { font-weight: bold; }
+  pre { background: #f4f4f4; padding: 0.6rem; }
+</style>
+</head>
+<body>
+<h1>Evaluation: ${escapeHtml(report.dataset.name)} — ${
+    report.passed ? "passed" : "failed"
+  }</h1>
+<p>${escapeHtml(report.dataset.description)}</p>
+<p>${report.dataset.documents} documents, ${report.dataset.questions} questions, started ${escapeHtml(
+    report.startedAt
+  )}, took ${Math.round(report.durationMs)} ms.</p>
+<h2>Settings</h2>
+<pre>${escapeHtml(JSON.stringify(report.settings, null, 2))}</pre>
+<h2>Summary</h2>
+<table>${summary}</table>
+${thresholds ? `<h2>Thresholds</h2><table>${thresholds}</table>` : ""}
+<h2>Questions</h2>
+<table>
+<tr><th>Question</th>${ks
+    .map((k) => `<th>Recall@${k}</th>`)
+    .join(
+      ""
+    )}<th>RR</th><th>Exact</th><th>Fuzzy</th><th>F1</th><th>Citation precision</th><th>Cites relevant</th></tr>
+${report.questions.map((result) => questionRow(result, ks)).join("\n")}
+</table>
+</body>
+</html>
+`;
+}
+
+// Writes <name>-<timestamp>.json and .html to `directory`. Resolves to
+// the paths written.
+async function writeReport(report, directory) {
+  await fs.mkdir(directory, { recursive: true });
+  const base = path.join(
+    directory,
+    `${report.dataset.name}-${report.startedAt.replace(/[:.]/g, "-")}`
+  );
+  const files = { json: `${base}.json`, html: `${base}.html` };
+  await fs.writeFile(files.json, `${JSON.stringify(report, null, 2)}\n`);
+  await fs.writeFile(files.html, renderHtml(report));
+  return files;
+}
+
+module.exports = { formatMetric, renderHtml, writeReport };
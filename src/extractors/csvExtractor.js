@@ -0,0 +1,79 @@
+// RFC 4180 style parser: quoted fields may contain delimiters, doubled
+// quotes and newlines
+function parseDelimited(input, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+}
+
+// Every data row becomes one record, rendered as "column: value" lines so
+// each chunk is self-describing without the header row
+function extractDelimited(buffer, delimiter) {
+  const [header = [], ...rows] = parseDelimited(
+    buffer.toString("utf-8").replace(/^\uFEFF/, ""),
+    delimiter
+  );
+  const columns = header.map((name, i) => name.trim() || `column ${i + 1}`);
+
+  let text = "";
+  const records = rows.map((cells, rowIndex) => {
+    const lines = cells
+      .map((cell, i) => [columns[i] || `column ${i + 1}`, cell.trim()])
+      .filter(([, value]) => value !== "")
+      .map(([column, value]) => `${column}: ${value}`);
+    const recordText = [`Row ${rowIndex + 1}`, ...lines].join("\n");
+
+    if (rowIndex > 0) text += "\n\n";
+    const start = text.length;
+    text += recordText;
+    return { start, end: text.length };
+  });
+  return { text, records };
+}
+
+const csvExtractor = {
+  type: "csv",
+  description: "CSV spreadsheet",
+  extract: async (buffer) => extractDelimited(buffer, ","),
+};
+
+const tsvExtractor = {
+  type: "tsv",
+  description: "TSV spreadsheet",
+  extract: async (buffer) => extractDelimited(buffer, "\t"),
+};
+
+module.exports = { csvExtractor, tsvExtractor };
@@ -0,0 +1,13 @@
+const mammoth = require("mammoth");
+
+// Word documents are zipped XML; mammoth pulls out the body text with one
+// paragraph per line
+module.exports = {
+  type: "docx",
+  description: "Word document",
+
+  async extract(buffer) {
+    const result = await mammoth.extractRawText({ buffer });
+    return { text: result.value.replace(/\n{3,}/g, "\n\n").trim() };
+  },
+};
@@ -0,0 +1,11 @@
+const { UnprocessableError } = require("../errors");
+
+// The file is of a supported type but can't or won't be processed: it is
+// corrupt, too slow to read or over a size limit
+class UnprocessableDocumentError extends UnprocessableError {
+  constructor(message, { details } = {}) {
+    super(message, { code: "UNPROCESSABLE_DOCUMENT", details });
+  }
+}
+
+module.exports = { UnprocessableDocumentError };
@@ -0,0 +1,87 @@
+// Elements that hold page chrome or code rather than content
+const BOILERPLATE_TAGS = [
+  "script",
+  "style",
+  "noscript",
+  "template",
+  "svg",
+  "head",
+  "nav",
+  "header",
+  "footer",
+  "aside",
+  "form",
+  "iframe",
+];
+
+const BLOCK_TAGS =
+  "p|div|section|article|main|br|li|ul|ol|table|tr|h[1-6]|blockquote|pre|dt|dd";
+
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const value =
+        code[1].toLowerCase() === "x"
+          ? parseInt(code.slice(2), 16)
+          : parseInt(code.slice(1), 10);
+      // Past the last Unicode code point there is no character to decode to
+      return Number.isNaN(value) || value > 0x10ffff
+        ? entity
+        : String.fromCodePoint(value);
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+// Regex-based on purpose: we only need readable text, not a DOM. Boilerplate
+// elements are dropped, and when the page marks its main content with
+// <main> or <article> only that part is kept.
+function htmlToText(html) {
+  let content = html.replace(/<!--[\s\S]*?-->/g, "");
+  for (const tag of BOILERPLATE_TAGS) {
+    content = content.replace(
+      new RegExp(`<${tag}\\b[\\s\\S]*?</${tag}\\s*>`, "gi"),
+      " "
+    );
+  }
+
+  const main =
+    content.match(/<main\b[^>]*>([\s\S]*?)<\/main\s*>/i) ||
+    content.match(/<article\b[^>]*>([\s\S]*?)<\/article\s*>/i);
+  if (main) content = main[1];
+
+  return decodeEntities(
+    content
+      // Keep headings recognisable for the section-aware chunker
+      .replace(
+        /<h([1-6])\b[^>]*>/gi,
+        (tag, level) => `\n\n${"#".repeat(level)} `
+      )
+      .replace(/<li\b[^>]*>/gi, "\n- ")
+      .replace(/<(td|th)\b[^>]*>/gi, " | ")
+      .replace(new RegExp(`</?(${BLOCK_TAGS})\\b[^>]*>`, "gi"), "\n")
+      .replace(/<[^>]+>/g, "")
+  )
+    .replace(/[ \t\u00a0]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+module.exports = {
+  type: "html",
+  description: "HTML page",
+
+  async extract(buffer) {
+    return { text: htmlToText(buffer.toString("utf-8")) };
+  },
+};
@@ -0,0 +1,154 @@
+const path = require("path");
+const pdfExtractor = require("./pdfExtractor");
+const docxExtractor = require("./docxExtractor");
+const markdownExtractor = require("./markdownExtractor");
+const htmlExtractor = require("./htmlExtractor");
+const { csvExtractor, tsvExtractor } = require("./csvExtractor");
+const jsonExtractor = require("./jsonExtractor");
+const textExtractor = require("./textExtractor");
+const { UnprocessableDocumentError } = require("./errors");
+const { UnsupportedMediaTypeError } = require("../errors");
+
+// Extractors keyed by detected file type. Each returns { text } plus,
+// optionally, `pages` ({ pageNumber, start, end } ranges of the text) and
+// `records` ({ start, end } ranges that should each become their own chunk).
+// Extractors may also have an `inspect` that cheaply checks a file before
+// it is accepted.
+const extractors = Object.fromEntries(
+  [
+    pdfExtractor,
+    docxExtractor,
+    markdownExtractor,
+    htmlExtractor,
+    csvExtractor,
+    tsvExtractor,
+    jsonExtractor,
+    textExtractor,
+  ].map((extractor) => [extractor.type, extractor])
+);
+
+const EXTENSION_TYPES = {
+  pdf: "pdf",
+  docx: "docx",
+  md: "markdown",
+  markdown: "markdown",
+  html: "html",
+  htm: "html",
+  csv: "csv",
+  tsv: "tsv",
+  json: "json",
+  txt: "text",
+  text: "text",
+};
+
+const SUPPORTED_EXTENSIONS = Object.keys(EXTENSION_TYPES).map(
+  (extension) => `.${extension}`
+);
+
+const BINARY_TYPES = new Set(["pdf", "docx"]);
+
+// Signatures of common binary formats we cannot index
+const UNSUPPORTED_SIGNATURES = [
+  [0x89, 0x50, 0x4e, 0x47], // PNG
+  [0xff, 0xd8, 0xff], // JPEG
+  [0x47, 0x49, 0x46, 0x38], // GIF
+  [0x1f, 0x8b], // gzip
+  [0x52, 0x61, 0x72, 0x21], // RAR
+  [0x37, 0x7a, 0xbc, 0xaf], // 7z
+  [0xd0, 0xcf, 0x11, 0xe0], // legacy Office (.doc, .xls)
+  [0x7f, 0x45, 0x4c, 0x46], // ELF
+  [0x4d, 0x5a], // Windows executable
+];
+
+function startsWith(buffer, bytes) {
+  return bytes.every((byte, i) => buffer[i] === byte);
+}
+
+// Text files never contain NUL bytes in practice
+function looksBinary(buffer) {
+  return buffer.subarray(0, 8000).includes(0);
+}
+
+// Works out the file type from its content first and its extension second.
+// The client-supplied mimetype is deliberately ignored. Returns null for
+// anything we cannot extract text from.
+function detectFileType(buffer, fileName = "") {
+  const extension = path.extname(fileName).slice(1).toLowerCase();
+
+  if (buffer.subarray(0, 1024).includes("%PDF-")) return "pdf";
+  if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) {
+    // DOCX is a zip archive; its main part is named in the local headers
+    return buffer.includes("word/document.xml") ? "docx" : null;
+  }
+  if (
+    UNSUPPORTED_SIGNATURES.some((signature) => startsWith(buffer, signature))
+  ) {
+    return null;
+  }
+  if (looksBinary(buffer)) return null;
+
+  const extensionType = EXTENSION_TYPES[extension];
+  if (extensionType && !BINARY_TYPES.has(extensionType)) return extensionType;
+  // A ".pdf" or ".docx" name on a plain text file is a mismatch
+  if (extensionType) return null;
+
+  const head = buffer.subarray(0, 1024).toString("utf-8").trimStart();
+  if (/^(<!doctype html|<html)/i.test(head)) return "html";
+  if (/^[[{]/.test(head)) {
+    try {
+      JSON.parse(buffer.toString("utf-8"));
+      return "json";
+    } catch {
+      // Not JSON after all; fall through to plain text
+    }
+  }
+  return "text";
+}
+
+async function extractDocument(type, buffer) {
+  const extractor = extractors[type];
+  if (!extractor) {
+    throw new Error(`No extractor registered for type "${type}"`);
+  }
+  return extractor.extract(buffer);
+}
+
+function unsupportedFileType() {
+  return new UnsupportedMediaTypeError("Unsupported file type", {
+    details: `Supported formats: ${SUPPORTED_EXTENSIONS.join(", ")}`,
+  });
+}
+
+function unreadableFileMessage(type) {
+  return type === "pdf"
+    ? "The uploaded PDF appears to be corrupted or invalid. Please try a different file."
+    : `The uploaded file could not be read as ${type}. Please try a different file.`;
+}
+
+// Throws an UnprocessableDocumentError when the file is over a limit or
+// can't be opened. Resolves to whatever the type's check learned, e.g.
+// { pageCount } for PDFs.
+async function inspectDocument(type, buffer) {
+  const extractor = extractors[type];
+  if (!extractor || !extractor.inspect) return {};
+  try {
+    return await extractor.inspect(buffer);
+  } catch (error) {
+    if (error instanceof UnprocessableDocumentError) throw error;
+    throw new UnprocessableDocumentError(unreadableFileMessage(type), {
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+module.exports = {
+  extractors,
+  SUPPORTED_EXTENSIONS,
+  UnprocessableDocumentError,
+  detectFileType,
+  unsupportedFileType,
+  unreadableFileMessage,
+  inspectDocument,
+  extractDocument,
+};
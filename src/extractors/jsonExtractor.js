@@ -0,0 +1,50 @@
+// Flattens a value into "path: value" lines, e.g. "address.city: Paris"
+function flatten(value, path, lines) {
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => flatten(item, `${path}[${i}]`, lines));
+  } else if (value !== null && typeof value === "object") {
+    for (const [key, child] of Object.entries(value)) {
+      flatten(child, path ? `${path}.${key}` : key, lines);
+    }
+  } else if (value !== null && value !== "") {
+    lines.push(path ? `${path}: ${value}` : String(value));
+  }
+  return lines;
+}
+
+// A top-level array (or an object wrapping a single array, as most APIs
+// return) yields one record per element; anything else is flattened whole.
+module.exports = {
+  type: "json",
+  description: "JSON data",
+
+  async extract(buffer) {
+    const data = JSON.parse(buffer.toString("utf-8").replace(/^\uFEFF/, ""));
+
+    let items = null;
+    if (Array.isArray(data)) {
+      items = data;
+    } else if (data && typeof data === "object") {
+      const arrays = Object.values(data).filter(Array.isArray);
+      if (arrays.length === 1 && Object.keys(data).length === 1) {
+        items = arrays[0];
+      }
+    }
+
+    if (!items) {
+      return { text: flatten(data, "", []).join("\n") };
+    }
+
+    let text = "";
+    const records = [];
+    items.forEach((item) => {
+      const recordText = flatten(item, "", []).join("\n");
+      if (!recordText) return;
+      if (records.length > 0) text += "\n\n";
+      const start = text.length;
+      text += recordText;
+      records.push({ start, end: text.length });
+    });
+    return { text, records };
+  },
+};
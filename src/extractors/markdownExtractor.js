@@ -0,0 +1,24 @@
+// Strips markdown syntax that only adds noise to embeddings (front matter,
+// emphasis markers, link targets, images, HTML comments) while keeping
+// headings intact for the section-aware chunker.
+module.exports = {
+  type: "markdown",
+  description: "Markdown",
+
+  async extract(buffer) {
+    const text = buffer
+      .toString("utf-8")
+      .replace(/^\uFEFF/, "")
+      .replace(/^---\n[\s\S]*?\n---\n/, "")
+      .replace(/<!--[\s\S]*?-->/g, "")
+      .replace(/^```.*$/gm, "")
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+      .replace(/(\*\*|__)(.+?)\1/g, "$2")
+      .replace(/(^|[^\w*])[*_](\S(?:.*?\S)?)[*_](?=[^\w*]|$)/gm, "$1$2")
+      .replace(/`([^`]+)`/g, "$1")
+      .replace(/^[ \t]*>[ \t]?/gm, "")
+      .replace(/\n{3,}/g, "\n\n");
+    return { text: text.trim() };
+  },
+};
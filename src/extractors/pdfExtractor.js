@@ -0,0 +1,92 @@
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { UnprocessableDocumentError } = require("./errors");
+
+// Malformed or hostile PDFs can keep pdf-parse busy for a long time, and
+// very long ones produce more text than we want to embed
+const PDF_PARSE_TIMEOUT_MS = Number(process.env.PDF_PARSE_TIMEOUT_MS || 30000);
+const MAX_PDF_PAGES = Number(process.env.MAX_PDF_PAGES || 500);
+
+// Parses the PDF in a worker thread, which is terminated if it runs past
+// the timeout. pdf-parse never yields to timers while it works, so a
+// timeout in this thread would only fire once it had finished anyway.
+// Resolves to { pageCount, pageTexts }; `pageTexts` is only filled in
+// with `readText`.
+function parsePdf(buffer, { maxPages, readText }) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, "pdfWorker.js"), {
+      workerData: { buffer, maxPages, readText },
+    });
+    const timer = setTimeout(() => {
+      worker.terminate();
+      reject(
+        new UnprocessableDocumentError(
+          `The PDF took longer than ${PDF_PARSE_TIMEOUT_MS / 1000}s to read.`
+        )
+      );
+    }, PDF_PARSE_TIMEOUT_MS);
+    const settle = (callback) => (value) => {
+      clearTimeout(timer);
+      callback(value);
+    };
+
+    worker.once(
+      "message",
+      settle((result) =>
+        result.error ? reject(new Error(result.error)) : resolve(result)
+      )
+    );
+    worker.once("error", settle(reject));
+    worker.once(
+      "exit",
+      settle((code) =>
+        reject(new Error(`The PDF parser stopped unexpectedly (code ${code})`))
+      )
+    );
+  });
+}
+
+function checkPageCount(pageCount) {
+  if (pageCount > MAX_PDF_PAGES) {
+    throw new UnprocessableDocumentError(
+      `The PDF has ${pageCount} pages; at most ${MAX_PDF_PAGES} are allowed.`
+    );
+  }
+}
+
+// Returns the PDF text with pages separated by blank lines, plus the
+// character range each page occupies in it
+async function extractPdf(buffer) {
+  const { pageCount, pageTexts } = await parsePdf(buffer, {
+    maxPages: MAX_PDF_PAGES,
+    readText: true,
+  });
+  checkPageCount(pageCount);
+
+  let text = "";
+  const pages = pageTexts.map((pageText, i) => {
+    if (i > 0) text += "\n\n";
+    const start = text.length;
+    text += pageText;
+    return { pageNumber: i + 1, start, end: text.length };
+  });
+  return { text, pages };
+}
+
+// Opens the PDF without reading its text, so broken, slow or overlong
+// files can be turned away before they are queued
+async function inspectPdf(buffer) {
+  const { pageCount } = await parsePdf(buffer, {
+    maxPages: 1,
+    readText: false,
+  });
+  checkPageCount(pageCount);
+  return { pageCount };
+}
+
+module.exports = {
+  type: "pdf",
+  description: "PDF document",
+  extract: extractPdf,
+  inspect: inspectPdf,
+};
@@ -0,0 +1,45 @@
+// Runs pdf-parse off the main thread so a PDF that takes too long can be
+// stopped by terminating the worker. workerData: { buffer, maxPages,
+// readText }. Posts { pageCount, pageTexts } or { error }.
+const { parentPort, workerData } = require("worker_threads");
+const pdf = require("pdf-parse");
+
+// Same text layout as pdf-parse's default renderer, but we keep each page
+// separately so chunks can be traced back to their page numbers
+async function renderPdfPage(pageData) {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false,
+  });
+  let lastY;
+  let text = "";
+  for (const item of textContent.items) {
+    if (lastY == item.transform[5] || !lastY) {
+      text += item.str;
+    } else {
+      text += "\n" + item.str;
+    }
+    lastY = item.transform[5];
+  }
+  return text;
+}
+
+async function parse({ buffer, maxPages, readText }) {
+  const pageTexts = [];
+  const { numpages } = await pdf(Buffer.from(buffer), {
+    max: maxPages,
+    pagerender: async (pageData) => {
+      if (!readText) return "";
+      const pageText = await renderPdfPage(pageData);
+      pageTexts.push(pageText);
+      return pageText;
+    },
+  });
+  return { pageCount: numpages, pageTexts };
+}
+
+parse(workerData)
+  .then((result) => parentPort.postMessage(result))
+  .catch((error) =>
+    parentPort.postMessage({ error: error.message || String(error) })
+  );
@@ -0,0 +1,8 @@
+module.exports = {
+  type: "text",
+  description: "Plain text",
+
+  async extract(buffer) {
+    return { text: buffer.toString("utf-8").replace(/^\uFEFF/, "") };
+  },
+};
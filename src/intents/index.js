@@ -0,0 +1,122 @@
+require("dotenv").config();
+const { classifyQuestion } = require("../clients/llmClient");
+const { DEFAULT_OPTIONS } = require("../retrieval");
+const { ValidationError } = require("../errors");
+const { logger } = require("../observability/logger");
+const { classifyByRules } = require("./rules");
+
+// What a message to /query can be asking for. Each intent has its own
+// pipeline: retrieval defaults layered over the server-wide ones (null
+// skips retrieval altogether) and the instructions the model gets.
+// `description` is what the model classifier sees.
+const PIPELINES = {
+  qa: {
+    description: "a question answered by specific facts from the documents",
+    retrieval: {},
+    instructions: `Answer the user's question based on the following context.
+    If the context does not contain the answer, say that you don't know.`,
+  },
+  summarize: {
+    description:
+      "a request to summarize, or give an overview or the main points of, documents or topics",
+    // Coverage matters more than the closest matches
+    retrieval: {
+      topK: DEFAULT_OPTIONS.topK * 2,
+      tokenBudget: DEFAULT_OPTIONS.tokenBudget * 2,
+      scoreThreshold: 0,
+      diversity: 0.4,
+    },
+    instructions: `Summarize the following context, focusing on what the user asks for.
+    Cover the main points in the order they appear and don't add anything the context doesn't say.`,
+  },
+  compare: {
+    description:
+      "a request to compare documents, versions or topics, or to find how they differ",
+    retrieval: {
+      topK: Math.round(DEFAULT_OPTIONS.topK * 1.5),
+      diversity: 0.5,
+    },
+    // With several documents in scope, the context is grouped under a
+    // "## Document A: <name>" heading per document
+    instructions: `Compare what the following context says about the things the user asks about.
+    When the context is grouped by document, start with a side-by-side markdown table with a column per document and a row per aspect compared,
+    then say where the documents agree and where they differ, referring to each document by its name.
+    If the context only covers one side, say what is missing.`,
+  },
+  extract: {
+    description:
+      "a request to list or pull out specific items such as dates, names, amounts or clauses",
+    // Every occurrence, without the surrounding chunks
+    retrieval: {
+      topK: DEFAULT_OPTIONS.topK * 2,
+      diversity: 0.9,
+      neighbors: 0,
+    },
+    instructions: `Extract exactly the items the user asks for from the following context, as a list.
+    Copy names, dates, amounts and other values exactly as written. If there are none, say so.`,
+  },
+  smalltalk: {
+    description:
+      "a greeting, thanks, goodbye or other chat that doesn't ask about the documents",
+    retrieval: null,
+    instructions: `Reply briefly and politely to the user's message.
+    You answer questions about the user's uploaded documents; don't make up anything about their contents.`,
+  },
+};
+
+const INTENTS = Object.keys(PIPELINES);
+
+// "rules" (the default) matches keywords; "llm" asks the generation model
+// and falls back to the rules when its reply can't be used
+const INTENT_CLASSIFIER = (
+  process.env.INTENT_CLASSIFIER || "rules"
+).toLowerCase();
+
+// Validates the optional `intent` request field, which skips classification
+function resolveIntent(intent) {
+  if (intent === undefined || intent === null || intent === "") return null;
+  if (!INTENTS.includes(intent)) {
+    throw new ValidationError(`'intent' must be one of: ${INTENTS.join(", ")}`);
+  }
+  return intent;
+}
+
+// Works out what `question` asks for. `caller` ({ tenantId, log }) is
+// charged for model classification; `rulesOnly` skips it whatever
+// INTENT_CLASSIFIER says. Resolves to { name, confidence, classifier }.
+async function classifyIntent(
+  question,
+  history = [],
+  caller = {},
+  { rulesOnly = false } = {}
+) {
+  if (INTENT_CLASSIFIER === "llm" && !rulesOnly) {
+    const intent = await classifyQuestion(
+      question,
+      history,
+      INTENTS.map((name) => ({
+        name,
+        description: PIPELINES[name].description,
+      })),
+      caller
+    );
+    if (intent) return { name: intent, confidence: 0.9, classifier: "llm" };
+    (caller.log || logger).warn(
+      "Falling back to keyword intent classification"
+    );
+  }
+
+  const { intent, confidence } = classifyByRules(question);
+  return { name: intent, confidence, classifier: "rules" };
+}
+
+function getPipeline(intent) {
+  return PIPELINES[intent];
+}
+
+module.exports = {
+  INTENTS,
+  resolveIntent,
+  classifyIntent,
+  getPipeline,
+};
@@ -0,0 +1,98 @@
+// Keyword classifier: fast, free and deterministic, and the fallback when
+// the model can't classify a question
+
+// Greetings, thanks and goodbyes, anchored at the start of the message
+const PLEASANTRIES = [
+  /^(hi|hello|hey|hiya|greetings|good (morning|afternoon|evening))\b/,
+  /^(thanks|thank you|thx|cheers|much appreciated|i appreciate it)\b/,
+  /^(bye|goodbye|see you|see ya|take care|have a nice day)\b/,
+  /^(how are you|how's it going|what's up|who are you|what can you do)\b/,
+  /^(ok|okay|great|cool|nice|awesome|perfect|got it)\b/,
+];
+
+// Words that can trail a pleasantry without making it a request, as in
+// "thanks a lot" or "hi there"
+const FILLER = new Set(
+  "a again all assistant bot everyone for help lot much so the there very you your".split(
+    " "
+  )
+);
+
+// Checked in order; the first intent with a matching pattern wins, so
+// "summarize the differences" is a comparison
+const PATTERNS = [
+  [
+    "compare",
+    [
+      /\bcompar(e|es|ed|ing|ison)\b/,
+      /\bdiffer(s|ed|ence|ences|ent)?\b/,
+      /\b(vs\.?|versus)\s/,
+      /\bcontrast\b/,
+      /\bsimilarit(y|ies)\b/,
+      /\b(same|alike) (as|between|in)\b/,
+    ],
+  ],
+  [
+    "summarize",
+    [
+      /\bsummar(y|ies|ise|ize|ised|ized|ising|izing)\b/,
+      /\boverview\b/,
+      /\bmain (idea|ideas|points|takeaways)\b/,
+      /\bkey (points|takeaways)\b/,
+      /\bgist\b/,
+      /\btl;?dr\b/,
+      /\bwhat is (this|the) (document|file|paper|report) about\b/,
+    ],
+  ],
+  [
+    "extract",
+    [
+      /^(list|extract|enumerate)\b/,
+      /\b(extract|pull out)\b/,
+      /\b(list|find|give me|show me) (all|every)\b/,
+      /\b(all|every) (the )?(dates|deadlines|names|amounts|prices|figures|numbers|emails|addresses|parties|people|references)\b/,
+      /\bas a (table|list)\b/,
+    ],
+  ],
+];
+
+// Removes leading pleasantries ("hi, thanks! ..."); whatever is left is
+// the actual request, if any
+function stripPleasantries(text) {
+  let rest = text;
+  let stripped = false;
+  for (let changed = true; changed;) {
+    changed = false;
+    for (const pattern of PLEASANTRIES) {
+      const match = rest.match(pattern);
+      if (match) {
+        rest = rest.slice(match[0].length).replace(/^[\s,.!?;:-]+/, "");
+        stripped = changed = true;
+      }
+    }
+  }
+  return { rest, stripped };
+}
+
+// Returns { intent, confidence }. Questions that match nothing are
+// plain question answering.
+function classifyByRules(question) {
+  const text = question.toLowerCase().trim();
+
+  const { rest, stripped } = stripPleasantries(text);
+  // "thanks a lot" is small talk; "hi, what does clause 4 say?" is a
+  // question
+  const words = rest.match(/[\p{L}\p{N}']+/gu) || [];
+  if (stripped && words.every((word) => FILLER.has(word))) {
+    return { intent: "smalltalk", confidence: 0.9 };
+  }
+
+  for (const [intent, patterns] of PATTERNS) {
+    if (patterns.some((pattern) => pattern.test(rest))) {
+      return { intent, confidence: 0.8 };
+    }
+  }
+  return { intent: "qa", confidence: 0.6 };
+}
+
+module.exports = { classifyByRules };
@@ -0,0 +1,183 @@
+const { EventEmitter } = require("events");
+const { v4: uuidv4 } = require("uuid");
+const { getJobStore } = require("../clients/jobStore");
+const { belongsToTenant } = require("../utils/tenants");
+const { logger } = require("../observability/logger");
+const { countError } = require("../observability/metrics");
+
+// Jobs run in this process, at most this many at a time; the rest wait in
+// line in the order they were submitted
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || "2", 10);
+
+const events = new EventEmitter();
+events.setMaxListeners(0);
+const waiting = [];
+let running = 0;
+
+// Overall progress (0-1) is the weighted sum of the stages' progress
+function overallProgress(stages) {
+  const totalWeight = stages.reduce((sum, stage) => sum + stage.weight, 0);
+  const done = stages.reduce((sum, stage) => {
+    if (stage.status === "completed") return sum + stage.weight;
+    if (stage.status !== "running" || !stage.total) return sum;
+    return sum + stage.weight * (stage.completed / stage.total);
+  }, 0);
+  return totalWeight > 0 ? done / totalWeight : 0;
+}
+
+// Hands a running job a way to report progress. Every change is saved and
+// broadcast to subscribers, so keep calls to once per batch of work. The
+// job logs through `reporter.log`.
+function createReporter(job, log) {
+  const save = async (changes) => {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    job.progress = overallProgress(job.stages);
+    await getJobStore().update(job.id, job);
+    events.emit(job.id, structuredClone(job));
+  };
+  const stage = (name) => job.stages.find((entry) => entry.name === name);
+
+  return {
+    jobId: job.id,
+    log,
+
+    // Marks `name` as running; `total` is its number of work items, if
+    // it has more than one
+    start(name, { total = 1 } = {}) {
+      Object.assign(stage(name), { status: "running", completed: 0, total });
+      return save({});
+    },
+    advance(name, completed) {
+      stage(name).completed = completed;
+      return save({});
+    },
+    complete(name) {
+      const entry = stage(name);
+      Object.assign(entry, { status: "completed", completed: entry.total });
+      return save({});
+    },
+    save,
+  };
+}
+
+function runNext() {
+  while (running < JOB_CONCURRENCY && waiting.length > 0) {
+    const { job, work, log } = waiting.shift();
+    running++;
+    runJob(job, work, log).finally(() => {
+      running--;
+      runNext();
+    });
+  }
+}
+
+async function runJob(job, work, log) {
+  const reporter = createReporter(job, log);
+  try {
+    await reporter.save({
+      status: "running",
+      startedAt: new Date().toISOString(),
+    });
+    const result = await work(reporter);
+    await reporter.save({
+      status: "completed",
+      result,
+      finishedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    const stage = job.stages.find((entry) => entry.status === "running");
+    if (stage) stage.status = "failed";
+    // Work functions mark errors that are safe to show with `expose`, as
+    // all of ../errors do
+    const code = error.code && error.expose ? error.code : "INTERNAL_ERROR";
+    log.error({ err: error, stage: stage && stage.name, code }, "Job failed");
+    countError("job", code);
+    await reporter
+      .save({
+        status: "failed",
+        error: error.expose ? error.message : `The ${job.type} job failed`,
+        code,
+        details:
+          error.details ||
+          (process.env.NODE_ENV === "development" ? error.message : undefined),
+        finishedAt: new Date().toISOString(),
+      })
+      .catch((saveError) =>
+        log.error({ err: saveError }, "Error saving failed job")
+      );
+  }
+}
+
+// Records a job of `type` for `tenantId` with the given stages (names, or
+// { name, weight } to make a stage count for more of the progress bar)
+// and queues `work(reporter)`. Resolves to the queued job record; the work
+// itself runs in the background and its return value becomes job.result.
+// `log` is the submitting request's logger, so the job's log lines can be
+// traced back to it.
+async function submitJob(
+  { type, tenantId, stages, input = {}, log = logger },
+  work
+) {
+  const now = new Date().toISOString();
+  const job = await getJobStore().create({
+    id: uuidv4(),
+    tenantId,
+    type,
+    status: "queued",
+    progress: 0,
+    stages: stages.map((stage) => ({
+      name: stage.name || stage,
+      weight: stage.weight || 1,
+      status: "pending",
+      completed: 0,
+      total: 1,
+    })),
+    input,
+    createdAt: now,
+    updatedAt: now,
+  });
+
+  const jobLog = log.child({ jobId: job.id, jobType: type });
+  jobLog.info("Job queued");
+  waiting.push({ job, work, log: jobLog });
+  const queued = structuredClone(job);
+  runNext();
+  return queued;
+}
+
+// Null for jobs of other tenants
+async function getJob(id, tenantId) {
+  const job = await getJobStore().get(id);
+  return belongsToTenant(job, tenantId) ? job : null;
+}
+
+// Calls `listener(job)` on every change to the job until unsubscribed
+function subscribeToJob(id, listener) {
+  events.on(id, listener);
+  return () => events.off(id, listener);
+}
+
+// Jobs live in this process, so any that were queued or running when the
+// server stopped can never finish. Marks them failed on startup.
+async function failInterruptedJobs() {
+  const jobStore = getJobStore();
+  const interrupted = [
+    ...(await jobStore.list({ status: "queued" })),
+    ...(await jobStore.list({ status: "running" })),
+  ];
+  for (const job of interrupted) {
+    await jobStore.update(job.id, {
+      status: "failed",
+      error: "The server restarted before the job finished",
+      finishedAt: new Date().toISOString(),
+    });
+  }
+  if (interrupted.length > 0) {
+    logger.warn(
+      { count: interrupted.length },
+      "Marked interrupted jobs as failed"
+    );
+  }
+}
+
+module.exports = { submitJob, getJob, subscribeToJob, failInterruptedJobs };
@@ -0,0 +1,316 @@
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+const { getEmbeddings } = require("../clients/llmClient");
+const { getVectorStore } = require("../clients/vectorStore");
+const {
+  getDocumentStore,
+  listPendingDocuments,
+  seriesOf,
+  versionOf,
+} = require("../clients/documentStore");
+const { getKeywordIndexStore } = require("../clients/keywordIndexStore");
+const { chunkDocument } = require("../chunking");
+const {
+  UnprocessableDocumentError,
+  unreadableFileMessage,
+  extractDocument,
+} = require("../extractors");
+const { buildKeywordIndex } = require("../retrieval/bm25");
+const { checkQuota } = require("../usage");
+const { RateLimitedError } = require("../errors");
+const { startSpan, timeStage } = require("../observability/metrics");
+const { logger } = require("../observability/logger");
+const { tenantOf } = require("../utils/tenants");
+
+// Chunks embedded per progress update, and vectors sent per upsert call
+const EMBEDDING_BATCH_SIZE = parseInt(
+  process.env.EMBEDDING_BATCH_SIZE || "64",
+  10
+);
+const UPSERT_BATCH_SIZE = parseInt(process.env.UPSERT_BATCH_SIZE || "100", 10);
+// Documents that split into more chunks than this are rejected
+const MAX_CHUNKS = parseInt(process.env.MAX_CHUNKS || "5000", 10);
+
+// Embedding dominates the time spent on a document
+const INGESTION_STAGES = [
+  { name: "extract", weight: 10 },
+  { name: "chunk", weight: 5 },
+  { name: "embed", weight: 70 },
+  { name: "upsert", weight: 15 },
+];
+
+// Vector store metadata must be flat and may not contain nulls (Pinecone
+// rejects them), so only the fields a chunk actually has are copied over
+function chunkMetadata(chunk) {
+  const metadata = {
+    text: chunk.text,
+    chunkIndex: chunk.index,
+    startOffset: chunk.startOffset,
+    endOffset: chunk.endOffset,
+  };
+  if (chunk.pageNumber !== undefined) {
+    metadata.pageNumber = chunk.pageNumber;
+    metadata.pageEnd = chunk.pageEnd;
+  }
+  if (chunk.section) metadata.section = chunk.section;
+  return metadata;
+}
+
+const hashText = (text) =>
+  crypto.createHash("sha256").update(text).digest("hex");
+
+// Vectors of the previous version's chunks, by chunk text hash, so
+// unchanged chunks of a new version don't need embedding again. The
+// previous chunks are listed from its keyword index; their vectors come from
+// the vector store when it can return them.
+async function reusableVectors(previous) {
+  const vectorStore = getVectorStore();
+  if (!previous || typeof vectorStore.fetch !== "function") return new Map();
+
+  const index = await getKeywordIndexStore().get(previous.namespace);
+  if (!index) return new Map();
+
+  const hashesById = new Map(
+    index.chunks.map(({ id, metadata }) => [id, hashText(metadata.text)])
+  );
+  const records = await vectorStore.fetch(previous.namespace, [
+    ...hashesById.keys(),
+  ]);
+  return new Map(
+    records.map((record) => [hashesById.get(record.id), record.values])
+  );
+}
+
+function batches(items, size) {
+  const result = [];
+  for (let i = 0; i < items.length; i += size) {
+    result.push(items.slice(i, i + size));
+  }
+  return result;
+}
+
+// Runs an uploaded file through extract -> chunk -> embed -> upsert and
+// registers the document. `upload` carries the validated request data:
+// { tenantId, file, fileType, contentHash, chunkingOptions, tags }. A file uploaded
+// under the name of an existing document becomes its next version, and
+// only the chunks that changed since the previous version are embedded.
+// Each stage is timed in the job's log. Resolves to { documentId }.
+async function ingestDocument(upload, reporter) {
+  const { tenantId, file, fileType, contentHash, chunkingOptions, tags } =
+    upload;
+  const { log } = reporter;
+  const documentStore = getDocumentStore(tenantId);
+
+  await reporter.start("extract");
+  let extracted;
+  try {
+    extracted = await timeStage("extract", log, () =>
+      extractDocument(fileType, file.buffer)
+    );
+  } catch (error) {
+    log.error({ err: error, fileType }, "Error parsing the file");
+    if (error instanceof UnprocessableDocumentError) throw error;
+    throw new UnprocessableDocumentError(unreadableFileMessage(fileType), {
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+  const { pages = [] } = extracted;
+  await reporter.complete("extract");
+
+  await reporter.start("chunk");
+  const chunks = await timeStage("chunk", log, async () =>
+    chunkDocument(extracted, chunkingOptions)
+  );
+  log.info(
+    { chunks: chunks.length, strategy: chunkingOptions.strategy },
+    "Text split into chunks"
+  );
+  // Scanned PDFs, markup without text and the like leave nothing to search
+  if (chunks.length === 0) {
+    throw new UnprocessableDocumentError(
+      "No text could be extracted from the document. Scanned documents need to be run through OCR first."
+    );
+  }
+  if (chunks.length > MAX_CHUNKS) {
+    throw new UnprocessableDocumentError(
+      `The document splits into ${chunks.length} chunks; at most ${MAX_CHUNKS} are allowed. Try a larger chunk size or a shorter document.`
+    );
+  }
+  await reporter.complete("chunk");
+
+  const previous = await documentStore.findLatestByName(file.originalname);
+  const reusable = await reusableVectors(previous);
+  const embeddings = chunks.map((chunk) => reusable.get(hashText(chunk.text)));
+  const changed = chunks
+    .map((chunk, i) => i)
+    .filter((i) => embeddings[i] === undefined);
+  if (previous) {
+    log.info(
+      {
+        previousVersionId: previous.id,
+        unchanged: chunks.length - changed.length,
+        toEmbed: changed.length,
+      },
+      "New version of an existing document"
+    );
+  }
+
+  const quota = await checkQuota(tenantId, "embeddedTexts", changed.length);
+  if (quota.exceeded) {
+    throw new RateLimitedError(
+      `Embedding this document would exceed the daily embedding quota (${quota.used} of ${quota.limit} used). Please try again tomorrow.`,
+      { code: "QUOTA_EXCEEDED", retryAfterSeconds: quota.retryAfterSeconds }
+    );
+  }
+
+  await reporter.start("embed", { total: changed.length });
+  await timeStage("embed", log, async () => {
+    let embedded = 0;
+    for (const batch of batches(changed, EMBEDDING_BATCH_SIZE)) {
+      const values = await getEmbeddings(
+        batch.map((i) => chunks[i].text),
+        { tenantId, log }
+      );
+      batch.forEach((chunkIndex, i) => {
+        embeddings[chunkIndex] = values[i];
+      });
+      embedded += batch.length;
+      await reporter.advance("embed", embedded);
+    }
+  });
+  await reporter.complete("embed");
+
+  const vectorStore = getVectorStore();
+  const namespace = uuidv4();
+  // Claims the namespace for the tenant before anything is stored in it;
+  // the record stays out of listings and searches until it is ready
+  await documentStore.create({
+    id: namespace,
+    namespace,
+    name: file.originalname,
+    originalName: file.originalname,
+    status: "pending",
+    uploadedAt: new Date().toISOString(),
+    contentHash,
+    jobId: reporter.jobId,
+  });
+  const vectors = chunks.map((chunk, i) => ({
+    id: `${file.originalname}-chunk-${i}`,
+    values: embeddings[i],
+    metadata: chunkMetadata(chunk),
+  }));
+
+  await reporter.start("upsert", { total: vectors.length });
+  const endUpsert = startSpan("upsert", log);
+  try {
+    let upserted = 0;
+    for (const batch of batches(vectors, UPSERT_BATCH_SIZE)) {
+      await vectorStore.upsert(namespace, batch);
+      upserted += batch.length;
+      await reporter.advance("upsert", upserted);
+    }
+    // The BM25 index sits next to the vectors for keyword and hybrid search
+    await getKeywordIndexStore().save(namespace, buildKeywordIndex(vectors));
+    endUpsert();
+  } catch (error) {
+    endUpsert("error");
+    // Don't leave half a document behind
+    await discardDocument(tenantId, namespace);
+    throw error;
+  }
+
+  // The latest version may have changed while this one was processed, so
+  // the version number is settled only now
+  const document = await registerVersion(
+    tenantId,
+    file.originalname,
+    async () => {
+      const latest = await documentStore.findLatestByName(file.originalname);
+      const registered = await documentStore.updatePending(namespace, {
+        status: "ready",
+        mimetype: file.mimetype,
+        fileType,
+        size: file.size,
+        chunkCount: chunks.length,
+        chunking: chunkingOptions,
+        pageCount: pages.length || undefined,
+        tags,
+        uploadedAt: new Date().toISOString(),
+        seriesId: latest ? seriesOf(latest) : namespace,
+        version: latest ? versionOf(latest) + 1 : 1,
+        isLatest: true,
+        previousVersionId: latest ? latest.id : undefined,
+        chunkDiff: previous
+          ? { reused: chunks.length - changed.length, embedded: changed.length }
+          : undefined,
+      });
+      // Earlier versions stay queryable on request, but drop out of default
+      // searches
+      if (latest) await documentStore.update(latest.id, { isLatest: false });
+      return registered;
+    }
+  );
+  await reporter.complete("upsert");
+
+  log.info(
+    {
+      documentId: document.id,
+      vectors: vectors.length,
+      store: vectorStore.name,
+    },
+    "Document processing complete"
+  );
+  return { documentId: document.id };
+}
+
+// Versions of one document are registered one after another, so uploads
+// under the same name that finish together still get consecutive version
+// numbers and only one of them stays the latest
+const pendingRegistrations = new Map();
+
+function registerVersion(tenantId, name, register) {
+  const key = `${tenantId}:${name}`;
+  const previous = pendingRegistrations.get(key) || Promise.resolve();
+  const registration = previous.then(register);
+  const settled = registration.catch(() => {});
+  pendingRegistrations.set(key, settled);
+  settled.then(() => {
+    if (pendingRegistrations.get(key) === settled) {
+      pendingRegistrations.delete(key);
+    }
+  });
+  return registration;
+}
+
+// Removes a pending document's vectors, keyword index and registry record
+async function discardDocument(tenantId, namespace) {
+  await getVectorStore()
+    .deleteNamespace(namespace)
+    .catch(() => {});
+  await getKeywordIndexStore()
+    .delete(namespace)
+    .catch(() => {});
+  await getDocumentStore(tenantId).deletePending(namespace);
+}
+
+// Ingestion jobs run in this process, so documents still pending at startup
+// were cut off by a restart. Discards whatever they had stored.
+async function discardInterruptedIngestions() {
+  const pending = await listPendingDocuments();
+  for (const document of pending) {
+    await discardDocument(tenantOf(document), document.namespace);
+  }
+  if (pending.length > 0) {
+    logger.warn(
+      { count: pending.length },
+      "Discarded documents whose ingestion was interrupted"
+    );
+  }
+}
+
+module.exports = {
+  INGESTION_STAGES,
+  ingestDocument,
+  discardInterruptedIngestions,
+};
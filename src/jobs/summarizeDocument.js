@@ -0,0 +1,229 @@
+const { summarizeText } = require("../clients/llmClient");
+const { getDocumentStore } = require("../clients/documentStore");
+const { getKeywordIndexStore } = require("../clients/keywordIndexStore");
+const { countTokens } = require("../utils/text");
+const { ValidationError, UnprocessableError } = require("../errors");
+const { timeStage } = require("../observability/metrics");
+
+// Most document text sent to the model in one summarization call
+const SUMMARY_BATCH_TOKENS = parseInt(
+  process.env.SUMMARY_BATCH_TOKENS || "3000",
+  10
+);
+
+// What the final summary looks like, and what the notes taken on the way
+// must keep for it
+const SUMMARY_STYLES = {
+  executive: {
+    final:
+      "Write an executive summary in plain prose: what the document is for, its key findings or terms, and any decisions, risks or actions it calls for.",
+    notes: "Keep the key facts, figures, decisions and conclusions.",
+  },
+  bullet: {
+    final:
+      "Write the summary as a list of the key points, one per line, each starting with '- '.",
+    notes: "Keep every distinct key point.",
+  },
+  section: {
+    final:
+      "Write a section-by-section summary: for each section, in document order, its heading on a line starting with '## ', followed by a short summary of that section.",
+    notes:
+      "Keep the section headings (lines starting with '## ') and summarize each section under its heading.",
+  },
+};
+
+// Rounds of combining notes before the rest is handed to the final call
+// as is, in case the model's notes don't get any shorter
+const MAX_REDUCE_ROUNDS = 4;
+
+// Target length of the final summary, in words
+const SUMMARY_LENGTHS = { short: 120, medium: 250, long: 500 };
+
+// Map steps summarize up to SUMMARY_BATCH_TOKENS of document text each; the
+// reduce step combines their notes into the summary
+const SUMMARY_STAGES = [
+  { name: "map", weight: 85 },
+  { name: "reduce", weight: 15 },
+];
+
+// Validates the `style` and `length` of a summary request. Only the
+// tables' own keys count, not ones like "toString" they inherit.
+function resolveSummaryOptions({
+  style = "executive",
+  length = "medium",
+} = {}) {
+  if (typeof style !== "string" || !Object.hasOwn(SUMMARY_STYLES, style)) {
+    throw new ValidationError(
+      `'style' must be one of: ${Object.keys(SUMMARY_STYLES).join(", ")}`
+    );
+  }
+  if (typeof length !== "string" || !Object.hasOwn(SUMMARY_LENGTHS, length)) {
+    throw new ValidationError(
+      `'length' must be one of: ${Object.keys(SUMMARY_LENGTHS).join(", ")}`
+    );
+  }
+  return { style, length };
+}
+
+// Summaries are cached in the document's `summaries` under this key
+const summaryKey = ({ style, length }) => `${style}:${length}`;
+
+// Documents uploaded before keyword indexing have no stored chunks
+function nothingToSummarize() {
+  return new UnprocessableError(
+    "This document has no stored text to summarize. Upload it again to index it.",
+    { code: "NOTHING_TO_SUMMARIZE" }
+  );
+}
+
+// The document's text in order, rebuilt from the chunks stored in its
+// keyword index. Chunks overlap, so each one only adds the text past the
+// end of the one before. Section headings are kept as "## " lines.
+async function documentParts(document) {
+  const index = await getKeywordIndexStore().get(document.namespace);
+  if (!index || index.chunks.length === 0) throw nothingToSummarize();
+
+  const chunks = index.chunks
+    .map((chunk) => chunk.metadata)
+    .sort((a, b) => a.chunkIndex - b.chunkIndex);
+  const parts = [];
+  let section;
+  let end = 0;
+  for (const chunk of chunks) {
+    const overlap = Math.max(0, end - chunk.startOffset);
+    const text = chunk.text.slice(overlap).trim();
+    end = Math.max(end, chunk.endOffset);
+    if (!text) continue;
+    if (chunk.section && chunk.section !== section) {
+      section = chunk.section;
+      parts.push(`## ${section}`);
+    }
+    parts.push(text);
+  }
+  return parts;
+}
+
+// Groups consecutive texts into batches of at most `maxTokens` (a single
+// longer text gets a batch of its own)
+function batchByTokens(texts, maxTokens) {
+  const batches = [];
+  let current = [];
+  let tokens = 0;
+  for (const text of texts) {
+    const size = countTokens(text);
+    if (current.length > 0 && tokens + size > maxTokens) {
+      batches.push(current);
+      current = [];
+      tokens = 0;
+    }
+    current.push(text);
+    tokens += size;
+  }
+  if (current.length > 0) batches.push(current);
+  return batches.map((batch) => batch.join("\n\n"));
+}
+
+// Summarizes every chunk of a document (map-reduce): each batch of text is
+// summarized into notes, notes are combined until they fit in one call, and
+// the final call writes the summary in the requested style and length. A
+// document that fits in one call is summarized directly. The summary is
+// cached on the document. `request` is { tenantId, documentId, style,
+// length }. Resolves to { documentId, summary }.
+async function summarizeDocument(request, reporter) {
+  const { tenantId, documentId, style, length } = request;
+  const { log } = reporter;
+  const documentStore = getDocumentStore(tenantId);
+  const caller = { tenantId, log };
+
+  const document = await documentStore.get(documentId);
+  if (!document) {
+    throw new UnprocessableError("The document was deleted", {
+      code: "DOCUMENT_DELETED",
+    });
+  }
+  const parts = await documentParts(document);
+  const words = SUMMARY_LENGTHS[length];
+  const finalInstructions = `${SUMMARY_STYLES[style].final} Use about ${words} words.`;
+  const notesInstructions = `Take notes on this part of the document for a later summary. ${SUMMARY_STYLES[style].notes}`;
+
+  const batches = batchByTokens(parts, SUMMARY_BATCH_TOKENS);
+  const summary = await timeStage("summarize", log, async () => {
+    await reporter.start("map", { total: batches.length });
+    let notes = batches;
+    if (batches.length > 1) {
+      notes = [];
+      for (const batch of batches) {
+        notes.push(
+          await summarizeText(batch, {
+            ...caller,
+            instructions: notesInstructions,
+            style,
+            step: "map",
+          })
+        );
+        await reporter.advance("map", notes.length);
+      }
+    }
+    await reporter.complete("map");
+
+    await reporter.start("reduce");
+    // Long documents leave more notes than fit in one call; combine them
+    // in rounds until they do
+    let combined = batchByTokens(notes, SUMMARY_BATCH_TOKENS);
+    for (let round = 0; combined.length > 1; round++) {
+      if (round === MAX_REDUCE_ROUNDS) {
+        combined = [combined.join("\n\n")];
+        break;
+      }
+      const next = [];
+      for (const batch of combined) {
+        next.push(
+          await summarizeText(batch, {
+            ...caller,
+            instructions: `Combine these notes on consecutive parts of a document into one set of notes. ${SUMMARY_STYLES[style].notes}`,
+            style,
+            step: "reduce",
+          })
+        );
+      }
+      combined = batchByTokens(next, SUMMARY_BATCH_TOKENS);
+    }
+    const text = await summarizeText(combined[0], {
+      ...caller,
+      instructions: finalInstructions,
+      style,
+      step: "final",
+    });
+    await reporter.complete("reduce");
+    return text;
+  });
+
+  const entry = {
+    style,
+    length,
+    summary,
+    batches: batches.length,
+    jobId: reporter.jobId,
+    createdAt: new Date().toISOString(),
+  };
+  // Re-read so summaries written meanwhile by other jobs are kept
+  const latest = await documentStore.get(documentId);
+  if (latest) {
+    await documentStore.update(documentId, {
+      summaries: {
+        ...latest.summaries,
+        [summaryKey(entry)]: entry,
+      },
+    });
+  }
+  log.info({ documentId, style, length }, "Document summarized");
+  return { documentId, summary: entry };
+}
+
+module.exports = {
+  SUMMARY_STAGES,
+  resolveSummaryOptions,
+  summaryKey,
+  nothingToSummarize,
+  summarizeDocument,
+};
@@ -0,0 +1,114 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { getApiKeyStore } = require("../clients/apiKeyStore");
+const { DEFAULT_TENANT, ADMIN_TENANT } = require("../utils/tenants");
+const { UnauthorizedError, ForbiddenError } = require("../errors");
+const { asyncHandler } = require("./errors");
+const { logger } = require("../observability/logger");
+
+// With AUTH_REQUIRED=true every request needs credentials. Otherwise
+// anonymous requests are served as the default tenant, which keeps a
+// single-user setup working without any keys; anyone who can reach the
+// server shares that tenant, so shared deployments must set it.
+const AUTH_REQUIRED = process.env.AUTH_REQUIRED === "true";
+// Don't rewrite a key's record on every request
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+const looksLikeJwt = (token) => token.split(".").length === 3;
+
+// Works out who is calling from a bearer token: the ADMIN_API_KEY, an API
+// key issued through /admin/keys, or a JWT signed with JWT_SECRET carrying
+// a `tenantId` claim (and optionally `role`). Resolves to
+// { id, role, keyId?, bootstrapAdmin? } or null when the token isn't valid.
+// Only the ADMIN_API_KEY is a `bootstrapAdmin`, which manages every
+// tenant's keys; other admins manage their own tenant's.
+async function resolveTenant(token) {
+  if (
+    process.env.ADMIN_API_KEY &&
+    safeEqual(token, process.env.ADMIN_API_KEY)
+  ) {
+    return { id: ADMIN_TENANT, role: "admin", bootstrapAdmin: true };
+  }
+
+  if (looksLikeJwt(token)) {
+    if (!process.env.JWT_SECRET) return null;
+    try {
+      const claims = jwt.verify(token, process.env.JWT_SECRET, {
+        algorithms: ["HS256"],
+      });
+      if (typeof claims.tenantId !== "string" || !claims.tenantId) return null;
+      return {
+        id: claims.tenantId,
+        role: claims.role === "admin" ? "admin" : "user",
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  const apiKeys = getApiKeyStore();
+  const apiKey = await apiKeys.findByKey(token);
+  if (!apiKey) return null;
+  if (
+    !apiKey.lastUsedAt ||
+    Date.now() - Date.parse(apiKey.lastUsedAt) > LAST_USED_INTERVAL_MS
+  ) {
+    apiKeys
+      .markUsed(apiKey.id)
+      .catch((err) => logger.error({ err }, "Error recording key use"));
+  }
+  return { id: apiKey.tenantId, role: apiKey.role, keyId: apiKey.id };
+}
+
+// Later log lines of the request say whose it was
+function setTenant(req, tenant) {
+  req.tenant = tenant;
+  if (req.log) req.log = req.log.child({ tenantId: tenant.id });
+}
+
+// Sets req.tenant = { id, role, keyId?, bootstrapAdmin? } from the
+// Authorization header
+const authenticate = asyncHandler(async (req, res, next) => {
+  const header = req.get("Authorization");
+  if (!header) {
+    if (AUTH_REQUIRED) {
+      throw new UnauthorizedError("Authentication required", {
+        code: "AUTHENTICATION_REQUIRED",
+        details: "Send an API key or token as 'Authorization: Bearer <key>'",
+      });
+    }
+    setTenant(req, { id: DEFAULT_TENANT, role: "user" });
+    return next();
+  }
+
+  const [scheme, token] = header.split(" ");
+  if (scheme !== "Bearer" || !token) {
+    throw new UnauthorizedError("Invalid Authorization header", {
+      details: "Expected 'Authorization: Bearer <key>'",
+    });
+  }
+
+  const tenant = await resolveTenant(token.trim());
+  if (!tenant) {
+    throw new UnauthorizedError("Invalid or revoked credentials", {
+      code: "INVALID_CREDENTIALS",
+    });
+  }
+  setTenant(req, tenant);
+  next();
+});
+
+const requireAdmin = (req, res, next) => {
+  if (!req.tenant || req.tenant.role !== "admin") {
+    throw new ForbiddenError("Admin access required");
+  }
+  next();
+};
+
+module.exports = { authenticate, requireAdmin };
@@ -0,0 +1,72 @@
+const {
+  AppError,
+  NotFoundError,
+  ValidationError,
+  PayloadTooLargeError,
+  toErrorBody,
+} = require("../errors");
+const { logger } = require("../observability/logger");
+const { countError } = require("../observability/metrics");
+
+// Passes errors from an async handler on to the error handler, so handlers
+// can simply throw
+const asyncHandler = (handler) => (req, res, next) =>
+  Promise.resolve(handler(req, res, next)).catch(next);
+
+// Registered after every route
+const notFound = (req, res, next) => {
+  next(
+    new NotFoundError(`No route for ${req.method} ${req.path}`, {
+      code: "ROUTE_NOT_FOUND",
+    })
+  );
+};
+
+// express.json() reports unreadable bodies with a `type`
+function fromBodyParser(error) {
+  if (error.type === "entity.parse.failed") {
+    return new ValidationError("The request body is not valid JSON", {
+      code: "MALFORMED_JSON",
+    });
+  }
+  if (error.type === "entity.too.large") {
+    return new PayloadTooLargeError("The request body is too large");
+  }
+  return error;
+}
+
+// Answers every error in the one JSON format described in ../errors.
+// Registered last, after the routes.
+const errorHandler = (err, req, res, next) => {
+  const error = fromBodyParser(err);
+  const log = req.log || logger;
+  if (res.headersSent) {
+    // Too late for a JSON response; let Express close the connection
+    log.error({ err: error }, "Error after response started");
+    countError("http", error.code);
+    return next(error);
+  }
+
+  const body = toErrorBody(error, req.id);
+  // Other errors may carry a `status` of their own, e.g. from a provider's
+  // HTTP response, which says nothing about this request
+  const status = error instanceof AppError ? error.status : 500;
+  if (status >= 500) {
+    log.error(
+      { err: error, status, code: body.code },
+      `${req.method} ${req.originalUrl} failed`
+    );
+  } else {
+    log.warn(
+      { status, code: body.code },
+      `${req.method} ${req.originalUrl}: ${body.error}`
+    );
+  }
+  countError("http", body.code);
+  if (error.retryAfterSeconds !== undefined) {
+    res.set("Retry-After", String(error.retryAfterSeconds));
+  }
+  res.status(status).json(body);
+};
+
+module.exports = { asyncHandler, notFound, errorHandler };
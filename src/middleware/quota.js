@@ -0,0 +1,20 @@
+const { checkQuota } = require("../usage");
+const { RateLimitedError } = require("../errors");
+const { asyncHandler } = require("./errors");
+
+// Rejects the request with 429 when the tenant has used up today's quota
+// for `counter`. `amountOf(req)` is what the request itself would add, e.g.
+// the size of an upload.
+const requireQuota = (counter, amountOf = () => 0) =>
+  asyncHandler(async (req, res, next) => {
+    const quota = await checkQuota(req.tenant.id, counter, amountOf(req));
+    if (!quota.exceeded) return next();
+
+    throw new RateLimitedError("Daily quota exceeded", {
+      code: "QUOTA_EXCEEDED",
+      details: `${quota.used} of the daily ${counter} quota of ${quota.limit} used. The quota resets at midnight UTC.`,
+      retryAfterSeconds: quota.retryAfterSeconds,
+    });
+  });
+
+module.exports = { requireQuota };
@@ -0,0 +1,64 @@
+const { createTokenBucket } = require("../utils/tokenBucket");
+const { recordUsage } = require("../usage");
+const { RateLimitedError } = require("../errors");
+
+// Requests per minute per client, with bursts of up to RATE_LIMIT_BURST
+// requests. RATE_LIMIT_PER_MINUTE=0 turns rate limiting off.
+const RATE_LIMIT_PER_MINUTE = Number(process.env.RATE_LIMIT_PER_MINUTE || 60);
+const RATE_LIMIT_BURST = Number(
+  process.env.RATE_LIMIT_BURST || RATE_LIMIT_PER_MINUTE
+);
+// Clients idle this long have a full bucket again, so theirs can be dropped
+const IDLE_MS = (RATE_LIMIT_BURST / RATE_LIMIT_PER_MINUTE) * 60 * 1000;
+const MAX_TRACKED_CLIENTS = 10000;
+
+const clients = new Map();
+
+// API keys are limited individually; other credentials (JWTs, the admin
+// key) per tenant, and anonymous requests per IP address
+function clientOf(req) {
+  if (req.tenant.keyId) return `key:${req.tenant.keyId}`;
+  if (req.get("Authorization")) return `tenant:${req.tenant.id}`;
+  return `ip:${req.ip}`;
+}
+
+function bucketFor(client) {
+  const now = Date.now();
+  if (clients.size >= MAX_TRACKED_CLIENTS) {
+    for (const [key, entry] of clients) {
+      if (now - entry.seenAt > IDLE_MS) clients.delete(key);
+    }
+  }
+
+  let entry = clients.get(client);
+  if (!entry) {
+    entry = {
+      bucket: createTokenBucket({
+        capacity: RATE_LIMIT_BURST,
+        refillPerSecond: RATE_LIMIT_PER_MINUTE / 60,
+      }),
+    };
+    clients.set(client, entry);
+  }
+  entry.seenAt = now;
+  return entry.bucket;
+}
+
+// Answers 429 with a Retry-After header once a client runs out of requests.
+// Admitted requests count towards the tenant's usage.
+const rateLimit = (req, res, next) => {
+  if (RATE_LIMIT_PER_MINUTE > 0) {
+    const waitMs = bucketFor(clientOf(req)).tryTake(1);
+    if (waitMs > 0) {
+      const retryAfterSeconds = Math.ceil(waitMs / 1000);
+      throw new RateLimitedError("Too many requests", {
+        details: `Rate limit of ${RATE_LIMIT_PER_MINUTE} requests per minute exceeded. Retry in ${retryAfterSeconds}s.`,
+        retryAfterSeconds,
+      });
+    }
+  }
+  recordUsage(req.tenant.id, { requests: 1 });
+  next();
+};
+
+module.exports = { rateLimit };
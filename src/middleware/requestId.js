@@ -0,0 +1,16 @@
+const { v4: uuidv4 } = require("uuid");
+
+// Accept the caller's ID if it looks like one, so a request can be traced
+// across services; otherwise make one up
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Sets req.id and echoes it in the X-Request-Id response header. Error
+// responses carry it as `requestId`.
+const assignRequestId = (req, res, next) => {
+  const supplied = req.get("X-Request-Id");
+  req.id = supplied && VALID_REQUEST_ID.test(supplied) ? supplied : uuidv4();
+  res.set("X-Request-Id", req.id);
+  next();
+};
+
+module.exports = { assignRequestId };
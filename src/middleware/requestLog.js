@@ -0,0 +1,41 @@
+const { logger } = require("../observability/logger");
+const { httpRequestDuration } = require("../observability/metrics");
+
+// Probes and scrapes arrive every few seconds; only log them at debug level
+const QUIET_PATHS = new Set(["/healthz", "/readyz", "/metrics"]);
+
+// Gives the request a logger, req.log, that stamps every line with its
+// requestId (and tenantId once authenticated), and logs and times the
+// request when the connection closes. Registered right after
+// assignRequestId.
+const logRequests = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  req.log = logger.child({ requestId: req.id });
+
+  res.once("close", () => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    // The route pattern, not the URL, so IDs don't become labels
+    const route = req.route ? req.baseUrl + req.route.path : "unmatched";
+    httpRequestDuration.observe(
+      { method: req.method, route, status: res.statusCode },
+      seconds
+    );
+
+    const level = QUIET_PATHS.has(req.path) ? "debug" : "info";
+    req.log[level](
+      {
+        method: req.method,
+        path: req.originalUrl,
+        route,
+        status: res.statusCode,
+        durationMs: Math.round(seconds * 1000),
+        // Streams the client walked away from never finish
+        aborted: !res.writableFinished || undefined,
+      },
+      "Request completed"
+    );
+  });
+  next();
+};
+
+module.exports = { logRequests };
@@ -0,0 +1,70 @@
+const path = require("path");
+const multer = require("multer");
+const { SUPPORTED_EXTENSIONS, unsupportedFileType } = require("../extractors");
+const {
+  AppError,
+  PayloadTooLargeError,
+  ValidationError,
+} = require("../errors");
+
+// Uploads are held in memory until they are processed, so cap their size
+const MAX_UPLOAD_BYTES = Number(
+  process.env.MAX_UPLOAD_BYTES || 20 * 1024 * 1024
+);
+
+const formatMegabytes = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_UPLOAD_BYTES,
+    files: 1,
+    fields: 20,
+    fieldSize: 64 * 1024,
+  },
+  // Only the name is known at this point. Files with a supported (or no)
+  // extension are checked by their content once they have arrived.
+  fileFilter(req, file, callback) {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (extension && !SUPPORTED_EXTENSIONS.includes(extension)) {
+      return callback(unsupportedFileType());
+    }
+    callback(null, true);
+  },
+});
+
+// Multer's errors as the matching API errors
+function toUploadError(error) {
+  if (error instanceof AppError) return error;
+  switch (error.code) {
+    case "LIMIT_FILE_SIZE":
+      return new PayloadTooLargeError("File too large", {
+        code: "FILE_TOO_LARGE",
+        details: `The maximum upload size is ${formatMegabytes(MAX_UPLOAD_BYTES)}.`,
+      });
+    case "LIMIT_FIELD_VALUE":
+    case "LIMIT_FIELD_COUNT":
+    case "LIMIT_PART_COUNT":
+      return new PayloadTooLargeError("Too many or too large form fields");
+    case "LIMIT_FILE_COUNT":
+    case "LIMIT_UNEXPECTED_FILE":
+      return new ValidationError("Upload a single file in the 'file' field", {
+        code: "TOO_MANY_FILES",
+      });
+    default:
+      return new ValidationError("Malformed upload", {
+        code: "MALFORMED_UPLOAD",
+        details: error.message,
+      });
+  }
+}
+
+// Parses a single-file multipart upload into req.file, turning limit
+// violations into API errors
+const acceptUpload = (req, res, next) => {
+  upload.single("file")(req, res, (error) =>
+    next(error ? toUploadError(error) : undefined)
+  );
+};
+
+module.exports = { MAX_UPLOAD_BYTES, acceptUpload };
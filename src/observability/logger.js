@@ -0,0 +1,16 @@
+require("dotenv").config();
+const pino = require("pino");
+
+// Structured logs: one JSON object per line on stdout. LOG_LEVEL sets the
+// least severe level written (debug, info, warn, error; "silent" turns
+// logging off). Requests and jobs log through child loggers carrying their
+// requestId, tenantId or jobId, so every line about one request can be
+// found together. Errors go under `err` to get their stack and code.
+const logger = pino({
+  level: process.env.LOG_LEVEL || "info",
+  base: { service: "query-assistant" },
+  timestamp: pino.stdTimeFunctions.isoTime,
+  formatters: { level: (label) => ({ level: label }) },
+});
+
+module.exports = { logger };
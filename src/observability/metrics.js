@@ -0,0 +1,108 @@
+const client = require("prom-client");
+const { logger } = require("./logger");
+
+// Prometheus metrics, served in the text exposition format at GET /metrics.
+// Besides Node's own process metrics (memory, event loop lag, GC) this
+// records request latency, the time spent in each pipeline stage, errors
+// by code and LLM usage.
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequestDuration = new client.Histogram({
+  name: "http_request_duration_seconds",
+  help: "Time to answer HTTP requests, by route and status",
+  labelNames: ["method", "route", "status"],
+  buckets: [0.005, 0.025, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [registry],
+});
+
+const stageDuration = new client.Histogram({
+  name: "rag_stage_duration_seconds",
+  help: "Time spent in each ingestion and answering stage",
+  labelNames: ["stage", "outcome"],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120],
+  registers: [registry],
+});
+
+const errorsTotal = new client.Counter({
+  name: "errors_total",
+  help: "Errors reported to clients, by where they surfaced and their code",
+  labelNames: ["source", "code"],
+  registers: [registry],
+});
+
+const llmTokensTotal = new client.Counter({
+  name: "llm_tokens_total",
+  help: "Tokens sent to and generated by the LLM provider",
+  labelNames: ["provider", "type"],
+  registers: [registry],
+});
+
+const llmGenerationsTotal = new client.Counter({
+  name: "llm_generations_total",
+  help: "Generation calls made to the LLM provider",
+  labelNames: ["provider"],
+  registers: [registry],
+});
+
+const embeddedTextsTotal = new client.Counter({
+  name: "llm_embedded_texts_total",
+  help: "Texts embedded by the LLM provider, cache hits included",
+  labelNames: ["provider"],
+  registers: [registry],
+});
+
+// `source` is "http" for error responses, "stream" for errors sent over an
+// answer stream and "job" for failed background jobs
+function countError(source, code) {
+  errorsTotal.inc({ source, code: code || "INTERNAL_ERROR" });
+}
+
+function countGeneration(provider, { promptTokens = 0, completionTokens = 0 }) {
+  llmGenerationsTotal.inc({ provider });
+  llmTokensTotal.inc({ provider, type: "prompt" }, promptTokens);
+  llmTokensTotal.inc({ provider, type: "completion" }, completionTokens);
+}
+
+function countEmbeddings(provider, count) {
+  embeddedTextsTotal.inc({ provider }, count);
+}
+
+// Starts timing `stage` (extract, chunk, embed, retrieve, generate, ...).
+// Call the returned function when it ends, with "error" if it failed; the
+// duration is recorded and logged to `log`.
+function startSpan(stage, log = logger) {
+  const startedAt = process.hrtime.bigint();
+  return (outcome = "ok") => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    stageDuration.observe({ stage, outcome }, seconds);
+    log.info(
+      { stage, outcome, durationMs: Math.round(seconds * 1000) },
+      `Stage ${stage} finished`
+    );
+    return seconds;
+  };
+}
+
+// Times `work()` as one span of `stage`
+async function timeStage(stage, log, work) {
+  const end = startSpan(stage, log);
+  try {
+    const result = await work();
+    end();
+    return result;
+  } catch (error) {
+    end("error");
+    throw error;
+  }
+}
+
+module.exports = {
+  registry,
+  httpRequestDuration,
+  countError,
+  countGeneration,
+  countEmbeddings,
+  startSpan,
+  timeStage,
+};
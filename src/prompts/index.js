@@ -0,0 +1,85 @@
+const { getPromptTemplateStore } = require("../clients/promptTemplateStore");
+const { NotFoundError, ValidationError } = require("../errors");
+const { DEFAULT_TEMPLATE } = require("./templates");
+
+// The built-in prompt goes by this name; it can be selected like a stored
+// template but not saved over
+const BUILTIN_TEMPLATE = "builtin";
+
+const builtinTemplate = () => ({
+  name: BUILTIN_TEMPLATE,
+  version: 1,
+  description: "The built-in prompt",
+  template: DEFAULT_TEMPLATE,
+  builtin: true,
+});
+
+const NAME_PATTERN = /^[A-Za-z0-9][\w-]{0,63}$/;
+
+// Validates a template name given in a request body or path
+function resolveTemplateName(name) {
+  if (typeof name !== "string" || !NAME_PATTERN.test(name)) {
+    throw new ValidationError(
+      "A template 'name' must be 1-64 letters, digits, '-' or '_', starting with a letter or digit"
+    );
+  }
+  return name;
+}
+
+// Validates a template version given in a request body or query string;
+// null when none is given, meaning the latest
+function resolveTemplateVersion(version) {
+  if (version === undefined || version === null || version === "") return null;
+  const number = Number(version);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new ValidationError("'version' must be a positive integer");
+  }
+  return number;
+}
+
+// Validates the optional `promptTemplate` field of /query: a template name
+// or { name, version }. Resolves to { name, version } or null.
+function resolveTemplateSelection(selection) {
+  if (selection === undefined || selection === null) return null;
+  if (typeof selection === "string") {
+    return { name: resolveTemplateName(selection), version: null };
+  }
+  if (typeof selection !== "object" || Array.isArray(selection)) {
+    throw new ValidationError(
+      "'promptTemplate' must be a template name or { name, version }"
+    );
+  }
+  return {
+    name: resolveTemplateName(selection.name),
+    version: resolveTemplateVersion(selection.version),
+  };
+}
+
+// The template a tenant's query is answered with: the one selected in the
+// request, else the tenant's default, else the built-in one. Throws when a
+// selected template or version doesn't exist; a default whose template was
+// deleted falls back to the built-in one.
+async function loadPromptTemplate(tenantId, selection) {
+  const store = getPromptTemplateStore(tenantId);
+  const chosen = selection || (await store.getDefault());
+  if (!chosen || chosen.name === BUILTIN_TEMPLATE) return builtinTemplate();
+
+  const template = await store.get(chosen.name, chosen.version);
+  if (template) return template;
+  if (!selection) return builtinTemplate();
+  throw new NotFoundError(
+    chosen.version === null
+      ? `Prompt template '${chosen.name}' not found`
+      : `Version ${chosen.version} of prompt template '${chosen.name}' not found`,
+    { code: "PROMPT_TEMPLATE_NOT_FOUND" }
+  );
+}
+
+module.exports = {
+  BUILTIN_TEMPLATE,
+  builtinTemplate,
+  resolveTemplateName,
+  resolveTemplateVersion,
+  resolveTemplateSelection,
+  loadPromptTemplate,
+};
@@ -0,0 +1,136 @@
+const { ValidationError } = require("../errors");
+
+// Prompt templates are plain text with placeholders:
+//   {{name}}                 replaced by the variable's value
+//   {{#name}}...{{/name}}    kept only when the variable isn't empty
+//   {{^name}}...{{/name}}    kept only when the variable is empty
+// Values are inserted as they are, so braces in a document or question are
+// never read as placeholders.
+
+// Everything a template can refer to
+const TEMPLATE_VARIABLES = {
+  instructions:
+    "What to do with the context for the question's intent (answer, summarize, compare, ...)",
+  intent: "The question's intent, such as qa or summarize",
+  question: "The user's question",
+  context:
+    "The numbered sources retrieved for the question; empty for small talk",
+  history:
+    "Earlier turns of the conversation as 'User: ...' / 'Assistant: ...' lines",
+  documents: "One line per document the sources come from, with its metadata",
+  answerFormat:
+    "How to reply: 'Answer:', or the JSON instructions for structured answers",
+};
+
+// The prompt used when neither the request nor the tenant picks a template
+const DEFAULT_TEMPLATE = `You are a helpful assistant. {{instructions}}
+{{#context}}
+The context is split into numbered sources. After every statement that uses a source, cite it
+with its number in square brackets, e.g. [1] or [2, 3]. Only cite sources listed in the context.
+{{/context}}
+{{#history}}
+
+Conversation so far:
+{{history}}
+{{/history}}
+
+{{#context}}
+Context:
+{{context}}
+
+Question:
+{{/context}}
+{{^context}}
+Message:
+{{/context}}
+{{question}}
+
+{{answerFormat}}`;
+
+const MAX_TEMPLATE_LENGTH = 20000;
+
+const TAG_PATTERN = /\{\{\s*([#^/]?)\s*([A-Za-z]\w*)\s*\}\}/g;
+
+// Sections, outermost first; a section's body ends at the first closing tag
+// of its name, which is why checkTemplate() doesn't allow a section inside
+// one of the same name. A newline right after an opening or closing tag is
+// dropped with it, so tags on lines of their own leave no blank lines
+// behind.
+const SECTION_PATTERN =
+  /\{\{\s*([#^])\s*([A-Za-z]\w*)\s*\}\}\n?([\s\S]*?)\{\{\s*\/\s*\2\s*\}\}\n?/g;
+
+// Throws a ValidationError describing the first problem with `template`:
+// unknown variables, unbalanced sections, a section nested in one of the
+// same name or a missing {{question}}
+function checkTemplate(template) {
+  if (typeof template !== "string" || !template.trim()) {
+    throw new ValidationError("'template' must be a non-empty string");
+  }
+  if (template.length > MAX_TEMPLATE_LENGTH) {
+    throw new ValidationError(
+      `'template' must be at most ${MAX_TEMPLATE_LENGTH} characters`
+    );
+  }
+
+  const open = [];
+  const used = new Set();
+  for (const [tag, kind, name] of template.matchAll(TAG_PATTERN)) {
+    if (!Object.hasOwn(TEMPLATE_VARIABLES, name)) {
+      throw new ValidationError(
+        `Unknown template variable '${name}'. Expected one of: ${Object.keys(
+          TEMPLATE_VARIABLES
+        ).join(", ")}`
+      );
+    }
+    if (kind === "#" || kind === "^") {
+      if (open.includes(name)) {
+        throw new ValidationError(
+          `${tag} can't be inside another section on '${name}'`
+        );
+      }
+      open.push(name);
+    } else if (kind === "/") {
+      if (open.pop() !== name) {
+        throw new ValidationError(`Unexpected ${tag} in the template`);
+      }
+    } else {
+      used.add(name);
+    }
+  }
+  if (open.length > 0) {
+    throw new ValidationError(
+      `The template never closes {{#${open[open.length - 1]}}}`
+    );
+  }
+  if (!used.has("question")) {
+    throw new ValidationError("The template must include {{question}}");
+  }
+}
+
+function renderSections(template, variables) {
+  return template.replace(SECTION_PATTERN, (match, kind, name, body) => {
+    const filled = Boolean(variables[name]);
+    return filled === (kind === "#") ? renderSections(body, variables) : "";
+  });
+}
+
+// Fills in a template checked by checkTemplate(). Templates that don't
+// place {{answerFormat}} get it at the end, so structured answers still
+// get their JSON instructions.
+function renderTemplate(template, variables) {
+  const withFormat = /\{\{\s*answerFormat\s*\}\}/.test(template)
+    ? template
+    : `${template}\n\n{{answerFormat}}`;
+  // Only variables are filled in; section tags are all gone by now
+  return renderSections(withFormat, variables).replace(
+    TAG_PATTERN,
+    (match, kind, name) => (kind ? match : String(variables[name] ?? ""))
+  );
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  DEFAULT_TEMPLATE,
+  checkTemplate,
+  renderTemplate,
+};
@@ -0,0 +1,82 @@
+const { tokenize } = require("../utils/text");
+
+// Standard Okapi BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Words too common to say anything about a chunk on their own
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be but by can do does for from has have how if in " +
+    "is it its of on or so than that the their them then there these they " +
+    "this to was were what when where which who why will with would you your"
+  ).split(" ")
+);
+
+function terms(text) {
+  return tokenize(text).filter((term) => !STOPWORDS.has(term));
+}
+
+// Builds the lexical index for one document from its chunks
+// ({ id, metadata: { text, ... } }, the same records that go to the vector
+// store). The result is plain JSON so it can be saved in the data store.
+function buildKeywordIndex(chunks) {
+  const documentFrequencies = {};
+  let totalLength = 0;
+
+  const indexed = chunks.map(({ id, metadata }) => {
+    const chunkTerms = terms(metadata.text);
+    const termFrequencies = {};
+    for (const term of chunkTerms) {
+      termFrequencies[term] = (termFrequencies[term] || 0) + 1;
+    }
+    for (const term of Object.keys(termFrequencies)) {
+      documentFrequencies[term] = (documentFrequencies[term] || 0) + 1;
+    }
+    totalLength += chunkTerms.length;
+    return { id, length: chunkTerms.length, termFrequencies, metadata };
+  });
+
+  return {
+    chunkCount: indexed.length,
+    averageLength: indexed.length > 0 ? totalLength / indexed.length : 0,
+    documentFrequencies,
+    chunks: indexed,
+  };
+}
+
+// Scores every chunk against the query and returns the best `topK` matches
+// as { id, score, metadata }, like a vector store query. Chunks sharing no
+// terms with the query are left out.
+function searchKeywordIndex(index, query, { topK = 12 } = {}) {
+  const queryTerms = [...new Set(terms(query))];
+  if (queryTerms.length === 0 || index.chunkCount === 0) return [];
+
+  const idf = {};
+  for (const term of queryTerms) {
+    const frequency = index.documentFrequencies[term] || 0;
+    idf[term] = Math.log(
+      1 + (index.chunkCount - frequency + 0.5) / (frequency + 0.5)
+    );
+  }
+
+  const matches = [];
+  for (const chunk of index.chunks) {
+    let score = 0;
+    for (const term of queryTerms) {
+      const frequency = chunk.termFrequencies[term];
+      if (!frequency) continue;
+      const lengthNorm =
+        1 - B + B * (chunk.length / (index.averageLength || 1));
+      score +=
+        (idf[term] * frequency * (K1 + 1)) / (frequency + K1 * lengthNorm);
+    }
+    if (score > 0) {
+      matches.push({ id: chunk.id, score, metadata: chunk.metadata });
+    }
+  }
+
+  return matches.sort((a, b) => b.score - a.score).slice(0, topK);
+}
+
+module.exports = { buildKeywordIndex, searchKeywordIndex };
@@ -0,0 +1,84 @@
+const { tokenize } = require("../utils/text");
+
+// Chunks sharing at least this share of their words are near-duplicates
+const DUPLICATE_SIMILARITY = 0.85;
+
+// Word-set overlap (Jaccard) between two texts. Used as the redundancy
+// measure for both stages below, so they don't need the chunk vectors,
+// which vector stores don't return from queries.
+function lexicalSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const token of a) {
+    if (b.has(token)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+// Share of the shorter chunk covered by the other one, for chunks of the
+// same document whose character ranges overlap
+function offsetOverlap(a, b) {
+  if (a.namespace !== b.namespace) return 0;
+  const start = Math.max(a.metadata.startOffset, b.metadata.startOffset);
+  const end = Math.min(a.metadata.endOffset, b.metadata.endOffset);
+  const shorter = Math.min(
+    a.metadata.endOffset - a.metadata.startOffset,
+    b.metadata.endOffset - b.metadata.startOffset
+  );
+  return end > start && shorter > 0 ? (end - start) / shorter : 0;
+}
+
+const withTokens = (matches) =>
+  matches.map((match) => ({
+    match,
+    tokens: new Set(tokenize(match.metadata.text)),
+  }));
+
+// Drops matches that mostly repeat a better-ranked one: overlapping ranges
+// of the same document, or the same text in another document (e.g. a file
+// uploaded twice). Expects matches best first.
+function removeNearDuplicates(
+  matches,
+  { threshold = DUPLICATE_SIMILARITY } = {}
+) {
+  const kept = [];
+  for (const candidate of withTokens(matches)) {
+    const duplicate = kept.some(
+      (existing) =>
+        offsetOverlap(candidate.match, existing.match) >= threshold ||
+        lexicalSimilarity(candidate.tokens, existing.tokens) >= threshold
+    );
+    if (!duplicate) kept.push(candidate);
+  }
+  return kept.map(({ match }) => match);
+}
+
+// Maximal marginal relevance: picks `topK` matches one at a time, trading
+// relevance (the match score) against similarity to what is already
+// picked. `lambda` 1 is pure relevance, 0 pure diversity.
+function maximalMarginalRelevance(matches, { topK, lambda = 0.7 }) {
+  const remaining = withTokens(matches);
+  const selected = [];
+
+  while (selected.length < topK && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestValue = -Infinity;
+    remaining.forEach((candidate, i) => {
+      const redundancy = Math.max(
+        0,
+        ...selected.map((picked) =>
+          lexicalSimilarity(candidate.tokens, picked.tokens)
+        )
+      );
+      const value = lambda * candidate.match.score - (1 - lambda) * redundancy;
+      if (value > bestValue) {
+        bestValue = value;
+        bestIndex = i;
+      }
+    });
+    selected.push(remaining.splice(bestIndex, 1)[0]);
+  }
+  return selected.map(({ match }) => match);
+}
+
+module.exports = { removeNearDuplicates, maximalMarginalRelevance };
@@ -0,0 +1,33 @@
+// Reciprocal rank fusion: every list contributes 1 / (k + rank) for each
+// match it contains, so items ranked well by several retrievers rise to the
+// top without having to compare their raw scores. k = 60 is the constant
+// from the original paper.
+const RRF_K = 60;
+
+// `lists` maps a retriever name to its matches, best first. Matches are
+// identified by namespace and id. Returns the fused matches with the
+// retrievers that found each one and their raw scores, best first.
+function reciprocalRankFusion(lists, { k = RRF_K } = {}) {
+  const fused = new Map();
+
+  for (const [retriever, matches] of Object.entries(lists)) {
+    matches.forEach((match, rank) => {
+      const key = `${match.namespace}\u0000${match.id}`;
+      if (!fused.has(key)) {
+        fused.set(key, { ...match, fusedScore: 0, retrievers: [], scores: {} });
+      }
+      const entry = fused.get(key);
+      entry.fusedScore += 1 / (k + rank + 1);
+      entry.retrievers.push(retriever);
+      entry.scores[retriever] = match.score;
+    });
+  }
+
+  // Scaled so a match ranked first by every retriever scores 1
+  const best = Object.keys(lists).length / (k + 1);
+  return [...fused.values()]
+    .map(({ fusedScore, ...match }) => ({ ...match, score: fusedScore / best }))
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = { RRF_K, reciprocalRankFusion };
@@ -0,0 +1,270 @@
+const { getEmbedding } = require("../clients/llmClient");
+const { getVectorStore } = require("../clients/vectorStore");
+const { getKeywordIndexStore } = require("../clients/keywordIndexStore");
+const { searchKeywordIndex } = require("./bm25");
+const { reciprocalRankFusion } = require("./fusion");
+const { RERANKERS, rerank } = require("./rerankers");
+const {
+  removeNearDuplicates,
+  maximalMarginalRelevance,
+} = require("./diversity");
+const { expandNeighbors } = require("./neighbors");
+const { packContext } = require("./packer");
+const { ValidationError } = require("../errors");
+const { logger } = require("../observability/logger");
+const { timeStage } = require("../observability/metrics");
+
+const RETRIEVAL_MODES = ["vector", "keyword", "hybrid"];
+
+// Server-wide defaults; every one of them can be overridden per request
+const DEFAULT_OPTIONS = {
+  mode: process.env.RETRIEVAL_MODE || "hybrid",
+  // Sources handed to the model after reranking
+  topK: Number(process.env.RETRIEVAL_TOP_K || 8),
+  // Vector matches at or below this similarity are treated as unrelated
+  scoreThreshold: Number(process.env.RETRIEVAL_SCORE_THRESHOLD || 0.3),
+  // Upper bound on the context sent to the model, in tokens
+  tokenBudget: Number(process.env.CONTEXT_TOKEN_BUDGET || 3000),
+  reranker: process.env.RERANKER || "none",
+  // MMR trade-off: 1 ranks purely by relevance, 0 purely by diversity
+  diversity: Number(process.env.MMR_LAMBDA || 0.7),
+  // Chunks added on either side of each match
+  neighbors: Number(process.env.NEIGHBOR_CHUNKS || 1),
+};
+
+// Each retriever fetches this many times `topK` candidates per document,
+// leaving the later stages something to choose from
+const CANDIDATE_MULTIPLIER = 3;
+// How many vector matches to fall back on when nothing passes the threshold
+const FALLBACK_MATCHES = 5;
+
+// Validates per-request retrieval settings on top of the defaults, and of
+// `defaults` (such as an intent's) on top of those. Throws a
+// ValidationError on invalid values.
+function resolveRetrievalOptions(overrides = {}, defaults = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...defaults };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined && value !== null && value !== "") {
+      options[key] = value;
+    }
+  }
+
+  if (!RETRIEVAL_MODES.includes(options.mode)) {
+    throw new ValidationError(
+      `'mode' must be one of: ${RETRIEVAL_MODES.join(", ")}`
+    );
+  }
+  if (!RERANKERS.includes(options.reranker)) {
+    throw new ValidationError(
+      `'reranker' must be one of: ${RERANKERS.join(", ")}`
+    );
+  }
+  for (const key of ["topK", "tokenBudget"]) {
+    options[key] = Number(options[key]);
+    if (!Number.isInteger(options[key]) || options[key] < 1) {
+      throw new ValidationError(`'${key}' must be a positive integer`);
+    }
+  }
+  options.neighbors = Number(options.neighbors);
+  if (!Number.isInteger(options.neighbors) || options.neighbors < 0) {
+    throw new ValidationError("'neighbors' must be a non-negative integer");
+  }
+  for (const key of ["scoreThreshold", "diversity"]) {
+    options[key] = Number(options[key]);
+    if (!(options[key] >= 0 && options[key] <= 1)) {
+      throw new ValidationError(`'${key}' must be a number between 0 and 1`);
+    }
+  }
+  return options;
+}
+
+async function vectorSearch(question, namespaces, { topK, tenantId, log }) {
+  const vectorStore = getVectorStore();
+  const questionEmbedding = await timeStage("embed", log, () =>
+    getEmbedding(question, { tenantId, log })
+  );
+
+  const matches = [];
+  for (const namespace of namespaces) {
+    const results = await vectorStore.query(namespace, questionEmbedding, {
+      topK,
+    });
+    matches.push(...results.map((match) => ({ ...match, namespace })));
+  }
+  return matches.sort((a, b) => b.score - a.score);
+}
+
+async function keywordSearch(question, namespaces, { topK, log }) {
+  const keywordIndexes = getKeywordIndexStore();
+
+  const matches = [];
+  for (const namespace of namespaces) {
+    const index = await keywordIndexes.get(namespace);
+    if (!index) {
+      // Documents uploaded before keyword indexing existed
+      log.warn({ namespace }, "No keyword index for namespace, skipping");
+      continue;
+    }
+    const results = searchKeywordIndex(index, question, { topK });
+    matches.push(...results.map((match) => ({ ...match, namespace })));
+  }
+  return matches.sort((a, b) => b.score - a.score);
+}
+
+// Finds the chunks relevant to `question` across `namespaces`. Returns
+// matches as { id, namespace, score, metadata, retrievers, scores }, best
+// first, where `retrievers` lists which retrievers found the match and
+// `scores` their raw scores. `score` is always between 0 and 1:
+//   vector   cosine similarity
+//   keyword  BM25 score relative to the best keyword match
+//   hybrid   reciprocal rank fusion score, 1 for a match both rank first
+// Embedding the question counts towards `tenantId`'s usage and is logged
+// to `log`.
+async function search(
+  question,
+  namespaces,
+  {
+    mode = DEFAULT_OPTIONS.mode,
+    topK = DEFAULT_OPTIONS.topK,
+    scoreThreshold = DEFAULT_OPTIONS.scoreThreshold,
+    tenantId,
+    log = logger,
+  } = {}
+) {
+  const tagged = (retriever, matches) =>
+    matches.map((match) => ({
+      ...match,
+      retrievers: [retriever],
+      scores: { [retriever]: match.score },
+    }));
+
+  if (mode === "keyword") {
+    const matches = await keywordSearch(question, namespaces, { topK, log });
+    const best = matches.length > 0 ? matches[0].score : 1;
+    return tagged("keyword", matches).map((match) => ({
+      ...match,
+      score: match.score / best,
+    }));
+  }
+
+  const vectorMatches = await vectorSearch(question, namespaces, {
+    topK,
+    tenantId,
+    log,
+  });
+  const relevant = vectorMatches.filter(
+    (match) => match.score > scoreThreshold
+  );
+
+  if (mode === "vector") {
+    return tagged(
+      "vector",
+      relevant.length > 0 ? relevant : vectorMatches.slice(0, FALLBACK_MATCHES)
+    );
+  }
+
+  const keywordMatches = await keywordSearch(question, namespaces, {
+    topK,
+    log,
+  });
+  const fused = reciprocalRankFusion({
+    vector: relevant,
+    keyword: keywordMatches,
+  });
+  return fused.length > 0
+    ? fused
+    : tagged("vector", vectorMatches.slice(0, FALLBACK_MATCHES));
+}
+
+// The full retrieval pipeline: gather candidates, drop near-duplicates,
+// rerank, pick a diverse top K, widen each pick with its neighboring
+// chunks and pack the result into the token budget. `options` as returned
+// by resolveRetrievalOptions. Model calls are metered to `tenantId`, and
+// the whole pipeline is timed as the "retrieve" stage in `log`.
+// Resolves to { matches, tokens }.
+async function retrieveContext(
+  question,
+  namespaces,
+  options,
+  { tenantId, log = logger } = {}
+) {
+  return timeStage("retrieve", log, async () => {
+    const candidates = await search(question, namespaces, {
+      mode: options.mode,
+      topK: options.topK * CANDIDATE_MULTIPLIER,
+      scoreThreshold: options.scoreThreshold,
+      tenantId,
+      log,
+    });
+    const unique = removeNearDuplicates(candidates);
+    const reranked = await rerank(question, unique, options.reranker, {
+      tenantId,
+      log,
+    });
+    const selected = maximalMarginalRelevance(reranked, {
+      topK: options.topK,
+      lambda: options.diversity,
+    });
+    const expanded = await expandNeighbors(selected, {
+      window: options.neighbors,
+    });
+    return packContext(expanded, { tokenBudget: options.tokenBudget });
+  });
+}
+
+// Retrieves from each namespace on its own, so every document gets its
+// share of the context however well the others match. `topK` and the token
+// budget are split evenly between the namespaces. Resolves to
+// [{ namespace, matches, tokens }], in the order of `namespaces`.
+async function retrieveContextByNamespace(
+  question,
+  namespaces,
+  options,
+  caller = {}
+) {
+  const share = {
+    ...options,
+    topK: Math.max(1, Math.ceil(options.topK / namespaces.length)),
+    tokenBudget: Math.max(
+      1,
+      Math.floor(options.tokenBudget / namespaces.length)
+    ),
+  };
+  const results = [];
+  for (const namespace of namespaces) {
+    const { matches, tokens } = await retrieveContext(
+      question,
+      [namespace],
+      share,
+      caller
+    );
+    results.push({ namespace, matches, tokens });
+  }
+  return results;
+}
+
+// `namespaces` ordered by how well their best match fits `question`;
+// namespaces without any match come last
+async function rankNamespaces(question, namespaces, options, caller = {}) {
+  const matches = await search(question, namespaces, {
+    mode: options.mode,
+    topK: options.topK,
+    scoreThreshold: options.scoreThreshold,
+    ...caller,
+  });
+  const ranked = [...new Set(matches.map((match) => match.namespace))];
+  return [
+    ...ranked,
+    ...namespaces.filter((namespace) => !ranked.includes(namespace)),
+  ];
+}
+
+module.exports = {
+  RETRIEVAL_MODES,
+  DEFAULT_OPTIONS,
+  resolveRetrievalOptions,
+  search,
+  retrieveContext,
+  retrieveContextByNamespace,
+  rankNamespaces,
+};
@@ -0,0 +1,75 @@
+const { getKeywordIndexStore } = require("../clients/keywordIndexStore");
+
+// Joins consecutive chunks, skipping the part of each chunk that overlaps
+// the previous one
+function joinChunks(chunks) {
+  let text = chunks[0].text;
+  for (let i = 1; i < chunks.length; i++) {
+    const overlap = Math.max(
+      0,
+      chunks[i - 1].endOffset - chunks[i].startOffset
+    );
+    text += (overlap > 0 ? "" : "\n") + chunks[i].text.slice(overlap);
+  }
+  return text;
+}
+
+// Widens each match with up to `window` chunks on either side, so answers
+// that straddle a chunk boundary keep their surrounding sentences. Chunks
+// are looked up in the document's keyword index, which holds every chunk's
+// metadata. Neighbors that are matches themselves are left to their own
+// entry, and a neighbor two matches share goes to the one ranked higher,
+// so no chunk's text is packed twice.
+async function expandNeighbors(matches, { window = 1 } = {}) {
+  if (window <= 0 || matches.length === 0) return matches;
+
+  const keywordIndexes = getKeywordIndexStore();
+  const chunksByNamespace = new Map();
+  for (const namespace of new Set(matches.map((match) => match.namespace))) {
+    const index = await keywordIndexes.get(namespace);
+    if (!index) continue;
+    chunksByNamespace.set(
+      namespace,
+      new Map(
+        index.chunks.map(({ metadata }) => [metadata.chunkIndex, metadata])
+      )
+    );
+  }
+  // Chunks already in the results, as matches or expanding one
+  const claimed = new Set(
+    matches.map((match) => `${match.namespace}:${match.metadata.chunkIndex}`)
+  );
+
+  return matches.map((match) => {
+    const chunks = chunksByNamespace.get(match.namespace);
+    const center = match.metadata.chunkIndex;
+    if (!chunks || center === undefined) return match;
+
+    const isFree = (index) =>
+      chunks.has(index) && !claimed.has(`${match.namespace}:${index}`);
+    let first = center;
+    while (first > center - window && isFree(first - 1)) first--;
+    let last = center;
+    while (last < center + window && isFree(last + 1)) last++;
+    if (first === center && last === center) return match;
+
+    const run = [];
+    for (let index = first; index <= last; index++) {
+      claimed.add(`${match.namespace}:${index}`);
+      run.push(index === center ? match.metadata : chunks.get(index));
+    }
+    const metadata = {
+      ...match.metadata,
+      text: joinChunks(run),
+      startOffset: run[0].startOffset,
+      endOffset: run[run.length - 1].endOffset,
+    };
+    if (run[0].pageNumber !== undefined) {
+      metadata.pageNumber = run[0].pageNumber;
+      metadata.pageEnd = run[run.length - 1].pageEnd;
+    }
+    return { ...match, metadata, expandedChunks: [first, last] };
+  });
+}
+
+module.exports = { expandNeighbors };
@@ -0,0 +1,42 @@
+const { countTokens, TOKEN_PATTERN } = require("../utils/text");
+
+// Keeps matches, best first, until their text reaches `tokenBudget`.
+// Matches that don't fit are skipped in favour of smaller ones further down;
+// if even the best match is too large it is cut to the budget, so the model
+// always gets some context.
+function packContext(matches, { tokenBudget }) {
+  const packed = [];
+  let used = 0;
+
+  for (const match of matches) {
+    const tokens = countTokens(match.metadata.text);
+    if (used + tokens <= tokenBudget) {
+      packed.push(match);
+      used += tokens;
+    } else if (packed.length === 0) {
+      packed.push({
+        ...match,
+        metadata: {
+          ...match.metadata,
+          text: truncateToTokens(match.metadata.text, tokenBudget),
+        },
+        truncated: true,
+      });
+      used = tokenBudget;
+    }
+  }
+  return { matches: packed, tokens: used };
+}
+
+function truncateToTokens(text, limit) {
+  const pattern = new RegExp(TOKEN_PATTERN.source, TOKEN_PATTERN.flags);
+  let count = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    count++;
+    if (count === limit) return text.slice(0, match.index + match[0].length);
+  }
+  return text;
+}
+
+module.exports = { packContext };
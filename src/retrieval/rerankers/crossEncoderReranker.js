@@ -0,0 +1,32 @@
+const { postJson } = require("../../utils/http");
+
+// Scores candidates with a cross-encoder served over HTTP. Speaks the
+// `/rerank` API of Hugging Face text-embeddings-inference:
+//   POST { query, texts } -> [{ index, score }]
+function createCrossEncoderReranker({
+  baseUrl = process.env.RERANKER_URL,
+  apiKey = process.env.RERANKER_API_KEY,
+} = {}) {
+  if (!baseUrl) {
+    throw new Error("RERANKER_URL must be set to use the cross-encoder");
+  }
+
+  return {
+    name: "cross-encoder",
+
+    async score(question, texts) {
+      const results = await postJson(
+        `${baseUrl.replace(/\/$/, "")}/rerank`,
+        { query: question, texts },
+        apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+      );
+      const scores = new Array(texts.length).fill(0);
+      for (const { index, score } of results) {
+        scores[index] = score;
+      }
+      return scores;
+    },
+  };
+}
+
+module.exports = { createCrossEncoderReranker };
@@ -0,0 +1,53 @@
+const { logger } = require("../../observability/logger");
+const { timeStage } = require("../../observability/metrics");
+
+// Rerankers are loaded on first use, so the cross-encoder's settings are
+// only checked when someone asks for it
+const rerankers = {
+  llm: () => require("./llmReranker").createLlmReranker(),
+  "cross-encoder": () =>
+    require("./crossEncoderReranker").createCrossEncoderReranker(),
+};
+
+const RERANKERS = ["none", ...Object.keys(rerankers)];
+
+const instances = new Map();
+
+function getReranker(name) {
+  if (!instances.has(name)) {
+    instances.set(name, rerankers[name]());
+  }
+  return instances.get(name);
+}
+
+// Reorders matches by the named reranker's score (0-1), keeping the
+// retriever scores in `scores`. Falls back to the original order when the
+// reranker fails, since retrieval results are still usable without it.
+// `caller` ({ tenantId, log }) is passed on for usage metering and logging.
+async function rerank(question, matches, name = "none", caller = {}) {
+  if (name === "none" || matches.length === 0) return matches;
+
+  const log = caller.log || logger;
+  try {
+    const reranker = getReranker(name);
+    const scores = await timeStage("rerank", log, () =>
+      reranker.score(
+        question,
+        matches.map((match) => match.metadata.text),
+        caller
+      )
+    );
+    return matches
+      .map((match, i) => ({
+        ...match,
+        score: scores[i],
+        scores: { ...match.scores, reranker: scores[i] },
+      }))
+      .sort((a, b) => b.score - a.score);
+  } catch (error) {
+    log.error({ err: error, reranker: name }, "Error reranking");
+    return matches;
+  }
+}
+
+module.exports = { RERANKERS, rerank };
@@ -0,0 +1,17 @@
+const { scorePassages } = require("../../clients/llmClient");
+
+// Uses the generation model itself as the reranker: one prompt scores all
+// candidates on a 0-10 scale
+function createLlmReranker() {
+  return {
+    name: "llm",
+
+    async score(question, texts, caller) {
+      const scores = await scorePassages(question, texts, caller);
+      if (!scores) throw new Error("The model returned no usable scores");
+      return scores.map((score) => Math.min(Math.max(score / 10, 0), 1));
+    },
+  };
+}
+
+module.exports = { createLlmReranker };
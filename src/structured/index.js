@@ -0,0 +1,89 @@
+const { schemas } = require("./schemas");
+const { jsonSchemaToZod } = require("./jsonSchemaToZod");
+const { UpstreamError } = require("../errors");
+
+const DEFAULT_SCHEMA = "answer";
+
+// The model kept returning output that doesn't match the schema
+class StructuredOutputError extends UpstreamError {
+  constructor(message) {
+    super(message, { code: "INVALID_STRUCTURED_OUTPUT" });
+  }
+}
+
+// Accepts a schema name, a caller-supplied JSON Schema object or nothing
+// (the default "answer" schema). Throws with a client-facing message when
+// the schema is unknown or unsupported.
+function resolveSchema(schema = DEFAULT_SCHEMA) {
+  if (typeof schema === "string") {
+    if (!schemas[schema]) {
+      throw new Error(
+        `Unknown schema "${schema}". Expected one of: ${Object.keys(
+          schemas
+        ).join(", ")}, or a JSON Schema object.`
+      );
+    }
+    return {
+      name: schema,
+      jsonSchema: schemas[schema],
+      validator: jsonSchemaToZod(schemas[schema]),
+    };
+  }
+
+  if (!schema || typeof schema !== "object" || schema.type !== "object") {
+    throw new Error("A custom schema must describe an object");
+  }
+  return {
+    name: "custom",
+    jsonSchema: schema,
+    validator: jsonSchemaToZod(schema),
+  };
+}
+
+// Pulls the JSON object out of a model reply. Models like to wrap JSON in
+// code fences or add a sentence around it, and sometimes leave trailing
+// commas behind; all of that is repaired here before parsing.
+function extractJson(text) {
+  const unfenced = text.replace(/```(?:json)?/gi, "");
+  const start = unfenced.indexOf("{");
+  const end = unfenced.lastIndexOf("}");
+  if (start === -1 || end <= start) {
+    throw new Error("The reply does not contain a JSON object");
+  }
+  const candidate = unfenced.slice(start, end + 1);
+  try {
+    return JSON.parse(candidate);
+  } catch {
+    return JSON.parse(candidate.replace(/,\s*([}\]])/g, "$1"));
+  }
+}
+
+// Returns { success: true, data } or { success: false, error } with a
+// readable description of what was wrong
+function parseStructuredOutput(text, validator) {
+  let parsed;
+  try {
+    parsed = extractJson(text);
+  } catch (error) {
+    return { success: false, error: `Invalid JSON: ${error.message}` };
+  }
+
+  const result = validator.safeParse(parsed);
+  if (!result.success) {
+    return {
+      success: false,
+      error: result.error.issues
+        .map((issue) => `${issue.path.join(".") || "(root)"}: ${issue.message}`)
+        .join("; "),
+    };
+  }
+  return { success: true, data: result.data };
+}
+
+module.exports = {
+  schemas,
+  DEFAULT_SCHEMA,
+  StructuredOutputError,
+  resolveSchema,
+  parseStructuredOutput,
+};
@@ -0,0 +1,66 @@
+const { z } = require("zod");
+
+// Converts the subset of JSON Schema that callers need for answer shapes
+// (objects, arrays, strings, numbers, integers, booleans, enums) into a zod
+// validator. Anything outside that subset is rejected so callers find out
+// up front instead of getting silently loose validation.
+function jsonSchemaToZod(schema, path = "schema") {
+  if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+    throw new Error(`${path} must be a JSON Schema object`);
+  }
+
+  let validator;
+  if (Array.isArray(schema.enum)) {
+    if (
+      schema.enum.length === 0 ||
+      !schema.enum.every((value) => typeof value === "string")
+    ) {
+      throw new Error(`${path}.enum must be a non-empty array of strings`);
+    }
+    validator = z.enum(schema.enum);
+  } else {
+    switch (schema.type) {
+      case "string":
+        validator = z.string();
+        break;
+      case "number":
+        validator = z.number();
+        break;
+      case "integer":
+        validator = z.number().int();
+        break;
+      case "boolean":
+        validator = z.boolean();
+        break;
+      case "array":
+        validator = z.array(jsonSchemaToZod(schema.items, `${path}.items`));
+        break;
+      case "object": {
+        const properties = schema.properties || {};
+        const required = new Set(schema.required || []);
+        const shape = {};
+        for (const [key, child] of Object.entries(properties)) {
+          const childValidator = jsonSchemaToZod(
+            child,
+            `${path}.properties.${key}`
+          );
+          shape[key] = required.has(key)
+            ? childValidator
+            : childValidator.optional();
+        }
+        validator = z.object(shape);
+        break;
+      }
+      default:
+        throw new Error(
+          `${path}.type must be one of object, array, string, number, integer or boolean`
+        );
+    }
+  }
+
+  return schema.description
+    ? validator.describe(schema.description)
+    : validator;
+}
+
+module.exports = { jsonSchemaToZod };
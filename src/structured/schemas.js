@@ -0,0 +1,47 @@
+// Named output schemas for structured answers, written as JSON Schema so the
+// same definition can be shown to the model and validated with zod
+const schemas = {
+  // The format the README promises: a direct answer, how it was derived and
+  // the clause that supports it
+  answer: {
+    type: "object",
+    properties: {
+      answer: {
+        type: "string",
+        description: "Direct answer to the question, with [n] citations",
+      },
+      reasoning: {
+        type: "string",
+        description: "How the answer follows from the context",
+      },
+      sourceClause: {
+        type: "string",
+        description: "The most relevant supporting passage, quoted verbatim",
+      },
+    },
+    required: ["answer", "reasoning", "sourceClause"],
+  },
+
+  // Yes/no questions such as "Is water damage covered?"
+  decision: {
+    type: "object",
+    properties: {
+      decision: { type: "string", enum: ["yes", "no", "unknown"] },
+      answer: {
+        type: "string",
+        description: "One-sentence justification, with [n] citations",
+      },
+      reasoning: {
+        type: "string",
+        description: "How the decision follows from the context",
+      },
+      sourceClause: {
+        type: "string",
+        description: "The most relevant supporting passage, quoted verbatim",
+      },
+    },
+    required: ["decision", "answer", "reasoning", "sourceClause"],
+  },
+};
+
+module.exports = { schemas };
@@ -0,0 +1,145 @@
+const { getUsageStore } = require("../clients/usageStore");
+const { logger } = require("../observability/logger");
+
+// What is metered, per tenant per UTC day
+const USAGE_COUNTERS = [
+  // Rate-limited API requests (uploads and queries)
+  "requests",
+  // Bytes of uploaded files accepted for processing
+  "uploadedBytes",
+  // Texts sent for embedding: document chunks, plus one per question
+  "embeddedTexts",
+  // Calls to the generation model and the tokens they used
+  "generations",
+  "promptTokens",
+  "completionTokens",
+  "generationTokens",
+];
+
+// Daily limits; 0 (the default) means unlimited
+const QUOTAS = {
+  uploadedBytes: Number(process.env.QUOTA_UPLOAD_BYTES || 0),
+  embeddedTexts: Number(process.env.QUOTA_EMBEDDED_TEXTS || 0),
+  generationTokens: Number(process.env.QUOTA_GENERATION_TOKENS || 0),
+};
+
+// UTC day, e.g. "2025-01-31"
+const dayOf = (date = new Date()) => date.toISOString().slice(0, 10);
+const recordId = (tenantId, day) => `${tenantId}:${day}`;
+
+function emptyUsage(tenantId, day) {
+  const record = { id: recordId(tenantId, day), tenantId, day };
+  for (const counter of USAGE_COUNTERS) record[counter] = 0;
+  return record;
+}
+
+// Seconds until the daily counters start over
+function secondsUntilReset(now = new Date()) {
+  const midnight = Date.UTC(
+    now.getUTCFullYear(),
+    now.getUTCMonth(),
+    now.getUTCDate() + 1
+  );
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+// Updates to one record are applied one after another so concurrent
+// requests don't overwrite each other's increments
+const pending = new Map();
+
+function increment(tenantId, counts) {
+  const day = dayOf();
+  const id = recordId(tenantId, day);
+  const previous = pending.get(id) || Promise.resolve();
+  const update = previous.then(async () => {
+    const usage = getUsageStore();
+    const existing = await usage.get(id);
+    const record = existing || emptyUsage(tenantId, day);
+    const changes = { updatedAt: new Date().toISOString() };
+    for (const [counter, amount] of Object.entries(counts)) {
+      changes[counter] = (record[counter] || 0) + amount;
+    }
+    if (existing) {
+      await usage.update(id, changes);
+    } else {
+      await usage.create({ ...record, ...changes });
+    }
+  });
+  const settled = update.catch(() => {});
+  pending.set(id, settled);
+  settled.then(() => {
+    if (pending.get(id) === settled) pending.delete(id);
+  });
+  return update;
+}
+
+// Adds `counts` (e.g. { embeddedTexts: 12 }) to the tenant's usage for
+// today. Metering never fails the request it is metering, so errors are
+// only logged.
+async function recordUsage(tenantId, counts) {
+  if (!tenantId) return;
+  try {
+    await increment(tenantId, counts);
+  } catch (error) {
+    logger.error({ err: error, tenantId }, "Error recording usage");
+  }
+}
+
+async function getUsageForDay(tenantId, day = dayOf()) {
+  const record = await getUsageStore().get(recordId(tenantId, day));
+  return { ...emptyUsage(tenantId, day), ...record };
+}
+
+// Checks whether `amount` more of `counter` fits in the tenant's quota for
+// today. Resolves to { exceeded, counter, used, limit, retryAfterSeconds }.
+async function checkQuota(tenantId, counter, amount = 0) {
+  const limit = QUOTAS[counter] || 0;
+  if (!limit) return { exceeded: false, counter, used: 0, limit: null };
+
+  const used = (await getUsageForDay(tenantId))[counter];
+  return {
+    exceeded: used >= limit || used + amount > limit,
+    counter,
+    used,
+    limit,
+    retryAfterSeconds: secondsUntilReset(),
+  };
+}
+
+// Today's usage against the quotas, plus the counters for the last `days`
+// days, newest first
+async function getUsageReport(tenantId, { days = 7 } = {}) {
+  const today = await getUsageForDay(tenantId);
+  const since = dayOf(new Date(Date.now() - (days - 1) * 86400000));
+  const records = await getUsageStore().list({ tenantId });
+  const history = records
+    .filter((record) => record.day >= since)
+    .sort((a, b) => b.day.localeCompare(a.day))
+    .map((record) => ({ ...emptyUsage(tenantId, record.day), ...record }));
+
+  const quotas = {};
+  for (const [counter, limit] of Object.entries(QUOTAS)) {
+    quotas[counter] = {
+      limit: limit || null,
+      used: today[counter],
+      remaining: limit ? Math.max(limit - today[counter], 0) : null,
+    };
+  }
+
+  return {
+    tenantId,
+    day: today.day,
+    resetsInSeconds: secondsUntilReset(),
+    usage: today,
+    quotas,
+    history,
+  };
+}
+
+module.exports = {
+  USAGE_COUNTERS,
+  QUOTAS,
+  recordUsage,
+  checkQuota,
+  getUsageReport,
+};
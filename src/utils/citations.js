@@ -0,0 +1,64 @@
+// Inline citations: the context handed to the model numbers every source
+// chunk, and answers cite them as [1] or [1, 3].
+const CITATION_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+// One numbered block per source, labelled with its file, page and section
+function formatContext(sources) {
+  return sources
+    .map((source) => {
+      const label = [
+        source.fileName,
+        source.pageNumber !== undefined && `page ${source.pageNumber}`,
+        source.section,
+      ]
+        .filter(Boolean)
+        .join(", ");
+      return `[${source.index}] ${label}\n${source.text}`;
+    })
+    .join("\n\n");
+}
+
+// Comparison context: the numbered sources grouped under a heading per
+// document ({ label, fileName, sources }), so the model can tell which
+// document says what
+function formatComparisonContext(documents) {
+  return documents
+    .map((document) => {
+      const heading = `## Document ${document.label}: ${document.fileName}`;
+      return document.sources.length > 0
+        ? `${heading}\n\n${formatContext(document.sources)}`
+        : `${heading}\n\nNothing relevant was found in this document.`;
+    })
+    .join("\n\n");
+}
+
+// Checks every citation in the answer against the sources that were
+// actually provided. Markers pointing at sources that don't exist are
+// removed from the answer and reported separately.
+function checkCitations(answer, sourceCount) {
+  const cited = new Set();
+  const invalid = new Set();
+
+  const cleaned = answer.replace(CITATION_PATTERN, (marker, list) => {
+    const indices = list.split(",").map((value) => parseInt(value, 10));
+    const valid = indices.filter((index) => index >= 1 && index <= sourceCount);
+    indices
+      .filter((index) => !valid.includes(index))
+      .forEach((index) => invalid.add(index));
+    valid.forEach((index) => cited.add(index));
+    return valid.length > 0 ? `[${valid.join(", ")}]` : "";
+  });
+
+  return {
+    answer: invalid.size > 0 ? cleaned.replace(/ +([.,;:!?])/g, "$1") : answer,
+    citations: [...cited].sort((a, b) => a - b),
+    invalidCitations: [...invalid].sort((a, b) => a - b),
+  };
+}
+
+module.exports = {
+  CITATION_PATTERN,
+  formatContext,
+  formatComparisonContext,
+  checkCitations,
+};
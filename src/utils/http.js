@@ -0,0 +1,54 @@
+// Minimal JSON-over-HTTP helper for providers that expose a REST API
+
+async function postJson(url, body, headers = {}) {
+  const response = await postRaw(url, body, headers);
+  return response.json();
+}
+
+// Same request, but hands back the response so callers can read a stream
+async function postRaw(url, body, headers = {}, signal) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+  return checkResponse(url, response);
+}
+
+async function getJson(url, headers = {}, signal) {
+  const response = await fetch(url, { headers, signal });
+  await checkResponse(url, response);
+  return response.json();
+}
+
+// Throws for error statuses, with the status and headers attached
+async function checkResponse(url, response) {
+  if (!response.ok) {
+    const details = await response.text().catch(() => "");
+    const error = new Error(
+      `Request to ${url} failed with status ${response.status}: ${details}`
+    );
+    error.status = response.status;
+    error.headers = response.headers;
+    throw error;
+  }
+
+  return response;
+}
+
+// Yields the complete lines of a streamed response body
+async function* readLines(response) {
+  const decoder = new TextDecoder();
+  let buffered = "";
+  for await (const bytes of response.body) {
+    buffered += decoder.decode(bytes, { stream: true });
+    const lines = buffered.split("\n");
+    buffered = lines.pop();
+    yield* lines;
+  }
+  buffered += decoder.decode();
+  if (buffered) yield buffered;
+}
+
+module.exports = { postJson, postRaw, getJson, readLines };
@@ -0,0 +1,24 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// Small helpers for the JSON-file backed stores
+
+async function readJsonFile(filePath, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf-8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return fallback;
+    throw error;
+  }
+}
+
+// Write to a temporary file first and rename it into place so a crash
+// mid-write never leaves a truncated file behind
+async function writeJsonFile(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+  await fs.rename(tempPath, filePath);
+}
+
+module.exports = { readJsonFile, writeJsonFile };
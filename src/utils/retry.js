@@ -0,0 +1,63 @@
+// Retry helpers for calls to rate-limited or flaky upstream services
+
+const NETWORK_ERROR_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+]);
+
+// Rate limits, server errors and dropped connections are worth retrying;
+// anything else (bad request, auth, ...) will fail the same way again
+function isRetryableError(error) {
+  if (error.status) {
+    return error.status === 408 || error.status === 429 || error.status >= 500;
+  }
+  const code = error.code || (error.cause && error.cause.code);
+  return NETWORK_ERROR_CODES.has(code) || error.message === "fetch failed";
+}
+
+// Seconds from a Retry-After header, when the error carries one
+function retryAfterMs(error) {
+  const value =
+    error.headers && typeof error.headers.get === "function"
+      ? error.headers.get("retry-after")
+      : undefined;
+  const seconds = Number(value);
+  return value && Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Calls `fn` until it succeeds, retrying retryable errors up to `retries`
+// times with exponential backoff. Each delay is randomized between half and
+// all of the backoff ("equal jitter") so parallel callers don't retry in
+// lockstep; a Retry-After from the server takes precedence.
+async function withRetry(
+  fn,
+  {
+    retries = 3,
+    baseDelayMs = 500,
+    maxDelayMs = 30000,
+    shouldRetry = isRetryableError,
+    onRetry = () => {},
+  } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) throw error;
+
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      const delay =
+        retryAfterMs(error) ?? backoff / 2 + Math.random() * (backoff / 2);
+      onRetry(error, attempt + 1, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = { isRetryableError, withRetry, sleep };
@@ -0,0 +1,23 @@
+// Vector math shared by the local vector store adapters
+
+function dotProduct(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(dotProduct(vector, vector));
+  if (norm === 0) return vector.slice();
+  return vector.map((value) => value / norm);
+}
+
+function cosineSimilarity(a, b) {
+  const denominator = Math.sqrt(dotProduct(a, a)) * Math.sqrt(dotProduct(b, b));
+  if (denominator === 0) return 0;
+  return dotProduct(a, b) / denominator;
+}
+
+module.exports = { dotProduct, normalize, cosineSimilarity };
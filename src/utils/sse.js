@@ -0,0 +1,32 @@
+// Turns an Express response into a Server-Sent Events stream
+function openEventStream(req, res) {
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Stop reverse proxies such as nginx from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  // Aborted when the client goes away, so upstream work can stop early
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  return {
+    signal: controller.signal,
+
+    send(event, data) {
+      if (res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    close() {
+      if (!res.writableEnded) res.end();
+    },
+  };
+}
+
+module.exports = { openEventStream };
@@ -0,0 +1,14 @@
+// Every record belongs to a tenant. Requests without credentials (when
+// authentication isn't required) and records created before tenants
+// existed belong to the default tenant.
+const DEFAULT_TENANT = process.env.DEFAULT_TENANT || "default";
+// The ADMIN_API_KEY's own tenant, apart from the anonymous callers' default
+// tenant. API keys can't be issued for it.
+const ADMIN_TENANT = process.env.ADMIN_TENANT || "admin";
+
+const tenantOf = (record) => record.tenantId || DEFAULT_TENANT;
+
+const belongsToTenant = (record, tenantId) =>
+  Boolean(record) && tenantOf(record) === tenantId;
+
+module.exports = { DEFAULT_TENANT, ADMIN_TENANT, tenantOf, belongsToTenant };
@@ -0,0 +1,22 @@
+// Rough stand-in for model tokens: words and individual punctuation marks
+const TOKEN_PATTERN = /[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu;
+
+function countTokens(text) {
+  return (text.match(TOKEN_PATTERN) || []).length;
+}
+
+// Lowercased word tokens, used wherever we need a cheap lexical view of text
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(
+    (token) => token.length > 1
+  );
+}
+
+function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?])\s+|\n{2,}/)
+    .map((sentence) => sentence.trim())
+    .filter(Boolean);
+}
+
+module.exports = { TOKEN_PATTERN, countTokens, tokenize, splitSentences };
@@ -0,0 +1,53 @@
+const { sleep } = require("./retry");
+
+// Token bucket rate limiter: holds up to `capacity` tokens and refills at
+// `refillPerSecond`. `take(n)` waits until n tokens are available, so bursts
+// up to the capacity go through at once and sustained use is held to the
+// refill rate. Callers are served in order.
+function createTokenBucket({ capacity, refillPerSecond }) {
+  let tokens = capacity;
+  let refilledAt = Date.now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(
+      capacity,
+      tokens + ((now - refilledAt) / 1000) * refillPerSecond
+    );
+    refilledAt = now;
+  }
+
+  // Resolves to the milliseconds spent waiting
+  function take(count = 1) {
+    const needed = Math.min(count, capacity);
+    const turn = queue.then(async () => {
+      const startedAt = Date.now();
+      refill();
+      while (tokens < needed) {
+        await sleep(((needed - tokens) / refillPerSecond) * 1000);
+        refill();
+      }
+      tokens -= needed;
+      return Date.now() - startedAt;
+    });
+    queue = turn.catch(() => {});
+    return turn;
+  }
+
+  // Takes the tokens only if they are available right now. Returns 0 when
+  // they were taken, otherwise the milliseconds until they would be.
+  function tryTake(count = 1) {
+    const needed = Math.min(count, capacity);
+    refill();
+    if (tokens >= needed) {
+      tokens -= needed;
+      return 0;
+    }
+    return Math.ceil(((needed - tokens) / refillPerSecond) * 1000);
+  }
+
+  return { take, tryTake };
+}
+
+module.exports = { createTokenBucket };